@@ -0,0 +1,853 @@
+import {
+  ButtonBuilder,
+  ActionRowBuilder,
+  ButtonStyle,
+  EmbedBuilder,
+  AttachmentBuilder
+} from 'discord.js';
+import { clients } from './clients.js';
+import {
+  MAX_CONFIGURABLE_TEAM_SIZE,
+  QUEUE_PAGE_SIZE,
+  AUDIT_PAGE_SIZE,
+  AUDIT_SCAN_PAGE_SIZE,
+  AUDIT_SCAN_LIMIT,
+  REDIS_KEY_CONFIG,
+  REDIS_KEY_AUDIT_USER_PREFIX,
+  EVENT_ID_PATTERN,
+  STATS_DEFAULT_HOURS
+} from './constants.js';
+import { logEvent } from './log.js';
+import { ADMIN_SUBCOMMAND_ACTIONS, requirePermission } from './permissions.js';
+import { eventRef, eventKey, getEvent, listEvents, findEventByChannel, saveEvent } from './events.js';
+import { readQueues, withQueues, removeFromQueues, isInQueues, findFormingMatch, emptyTags } from './store.js';
+import { CONFIG_SETTINGS, getConfig, setConfigValue, resetConfigValue } from './settings.js';
+import { listTeams } from './teams.js';
+import { listMentors, addMentor, removeMentor, mentorTeamLoads, readHelpTickets, markMentorsMigrated } from './mentors.js';
+import { getMemberNames } from './members.js';
+import { getBlock, listBlocks, blockUser, unblockUser } from './blocklist.js';
+import { recordMetric, readMetrics, summarizeWaits, chartColumns, metricSeries, waitSeries, sparkline } from './metrics.js';
+import { syncLobbyMessage, scheduleLobbyRefresh } from './lobby.js';
+import { tryMatching, notifyMatchCancelled } from './matcher.js';
+import { createTeamThread } from './threads.js';
+import { resolveCommandEvent } from './commands.js';
+
+export async function handleAdminCommand(interaction) {
+  const group = interaction.options.getSubcommandGroup(false);
+  const subcommand = interaction.options.getSubcommand();
+  if (!(await requirePermission(interaction, ADMIN_SUBCOMMAND_ACTIONS[group ?? subcommand]))) return;
+  if (group === 'event') {
+    await handleAdminEvent(interaction, subcommand);
+    return;
+  }
+  if (group === 'block') {
+    await handleAdminBlock(interaction, subcommand);
+    return;
+  }
+  if (subcommand === 'audit') {
+    await showAudit(interaction);
+    return;
+  }
+  const event = await resolveCommandEvent(interaction);
+  if (!event) return;
+  if (group === 'config') {
+    await handleAdminConfig(interaction, event, subcommand);
+  } else if (group === 'mentor') {
+    await handleAdminMentor(interaction, event, subcommand);
+  } else if (subcommand === 'help') {
+    await showHelpTickets(interaction, event);
+  } else if (subcommand === 'panel') {
+    await showAdminPanel(interaction, event);
+  } else if (subcommand === 'clear') {
+    await withQueues(event, state => {
+      state.leaders = [];
+      state.members = [];
+    });
+    await logEvent(`admin cleared all queues in ${eventRef(event)}.`, { type: 'admin.clear', actorId: interaction.user.id, event });
+    await interaction.reply({ content: `all queues for ${event.name} have been cleared.`, ephemeral: true });
+  } else if (subcommand === 'list') {
+    const page = interaction.options.getInteger('page') ?? 1;
+    await interaction.reply({ ...(await buildQueueListPage(event, page)), ephemeral: true });
+  } else if (subcommand === 'remove') {
+    await handleAdminRemove(interaction, event);
+  } else if (subcommand === 'add') {
+    await handleAdminAdd(interaction, event);
+  } else if (subcommand === 'move') {
+    await handleAdminMove(interaction, event);
+  } else if (subcommand === 'create') {
+    await handleAdminCreate(interaction, event);
+  } else if (subcommand === 'match') {
+    await tryMatching(event);
+    await interaction.reply({ content: 'force matching executed.', ephemeral: true });
+  } else if (subcommand === 'teams') {
+    await showTeams(interaction, event);
+  } else if (subcommand === 'export') {
+    await handleAdminExport(interaction, event);
+  } else if (subcommand === 'stats') {
+    await showStats(interaction, event);
+  }
+}
+
+async function showAdminPanel(interaction, event) {
+  const { leaders, members } = await readQueues(clients.redis, event);
+  const embed = new EmbedBuilder()
+    .setTitle('admin panel')
+    .setDescription(`manage the ${event.name} queues and threads.`)
+    .addFields(
+      { name: 'team leaders', value: `${leaders.length}`, inline: true },
+      { name: 'team members', value: `${members.length}`, inline: true }
+    )
+    .setColor(0xff0000)
+    .setTimestamp(new Date());
+  const closeButton = new ButtonBuilder()
+    .setCustomId('close_thread')
+    .setLabel('close current thread')
+    .setStyle(ButtonStyle.Danger);
+  const row = new ActionRowBuilder().addComponents(closeButton);
+  await interaction.reply({ embeds: [embed], components: [row], ephemeral: true });
+}
+
+async function showTeams(interaction, event) {
+  const status = interaction.options.getString('status');
+  const user = interaction.options.getUser('user');
+  let teams;
+  try {
+    teams = await listTeams(event);
+  } catch (err) {
+    await interaction.reply({ content: 'error reading the team registry.', ephemeral: true });
+    await logEvent(`error reading team registry: ${err.message}`, { level: 'error', type: 'team.registry', event });
+    return;
+  }
+  if (status) {
+    teams = teams.filter(team => team.status === status);
+  }
+  if (user) {
+    teams = teams.filter(team => team.leaderId === user.id || team.memberIds.includes(user.id));
+  }
+  const lines = teams.map(team => {
+    const members = team.memberIds.map(id => `<@${id}>`).join(', ') || 'no members';
+    const confirmed = team.confirmedAt ? ` · confirmed <t:${Math.floor(team.confirmedAt / 1000)}:R>` : '';
+    const mentors = team.mentorIds?.length > 0 ? ` · mentor(s) ${team.mentorIds.map(id => `<@${id}>`).join(', ')}` : '';
+    return `**${team.id}** · ${team.status} · <@${team.leaderId}> + ${members} · <#${team.threadId}>${mentors}${confirmed}`;
+  });
+  let description = lines.join('\n') || 'no teams found.';
+  if (description.length > 4000) {
+    description = `${description.slice(0, 4000)}\n…`;
+  }
+  const embed = new EmbedBuilder()
+    .setTitle(`teams (${teams.length})`)
+    .setDescription(description)
+    .setColor(0x0099ff)
+    .setTimestamp(new Date());
+  await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+const STATS_CHART_ROWS = [
+  ['joins', 'joins'],
+  ['matches', 'matches'],
+  ['teams_formed', 'formed'],
+  ['teams_confirmed', 'confirmed'],
+  ['teams_closed', 'closed'],
+  ['role_switches', 'switches']
+];
+
+async function showStats(interaction, event) {
+  const hours = interaction.options.getInteger('hours') ?? STATS_DEFAULT_HOURS;
+  const now = Date.now();
+  const [{ totals, hourly, waits }, { leaders, members, pendingMatches }] = await Promise.all([
+    readMetrics(event),
+    readQueues(clients.redis, event)
+  ]);
+  const columns = chartColumns(hours, now);
+  const hoursPerColumn = (columns[0].to - columns[0].from) / (60 * 60 * 1000);
+  const windowWaits = summarizeWaits(waits.filter(wait => wait.at >= columns[0].from));
+  // every row is padded to the same width so the charts line up in the code block
+  const chart = [
+    ...STATS_CHART_ROWS.map(([metric, label]) => {
+      const series = metricSeries(hourly, metric, columns);
+      const total = series.reduce((sum, count) => sum + count, 0);
+      return `${label.padEnd(10)} ${sparkline(series)} ${total}`;
+    }),
+    `${'wait'.padEnd(10)} ${sparkline(waitSeries(waits, columns))} ${windowWaits.medianMs === null ? '-' : formatDuration(windowWaits.medianMs)}`
+  ];
+  const describeWaits = summary => (summary.samples === 0
+    ? 'nobody matched yet'
+    : `average ${formatDuration(summary.averageMs)}, median ${formatDuration(summary.medianMs)} over ${summary.samples} user(s)`);
+  const embed = new EmbedBuilder()
+    .setTitle(`stats: ${event.name}`)
+    .setDescription(
+      `last ${hours} hour(s), ${hoursPerColumn === 1 ? 'one column per hour' : `${hoursPerColumn} hours per column`}:\n` +
+      `\`\`\`\n${chart.join('\n')}\n\`\`\``
+    )
+    .addFields(
+      {
+        name: 'all time',
+        value: `${totals.joins} join(s) · ${totals.matches} match(es) · ${totals.role_switches} role switch(es)\n` +
+          `${totals.teams_formed} team(s) formed · ${totals.teams_confirmed} confirmed · ${totals.teams_closed} closed`
+      },
+      { name: `wait in the last ${hours} hour(s)`, value: describeWaits(windowWaits) },
+      { name: 'recent waits', value: describeWaits(summarizeWaits(waits)) },
+      { name: 'right now', value: `${leaders.length} leader(s) and ${members.length} member(s) waiting · ${pendingMatches.length} pending match(es)` }
+    )
+    .setColor(0x0099ff)
+    .setTimestamp(new Date(now));
+  await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+export function formatDuration(ms) {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 1) return '<1m';
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ${minutes % 60}m`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+export async function buildQueueListPage(event, page) {
+  const { leaders, members, pendingMatches, formingMatches } = await readQueues(clients.redis, event);
+  const pageCount = Math.max(
+    1,
+    Math.ceil(leaders.length / QUEUE_PAGE_SIZE),
+    Math.ceil(members.length / QUEUE_PAGE_SIZE)
+  );
+  const current = Math.min(Math.max(page, 1), pageCount);
+  const start = (current - 1) * QUEUE_PAGE_SIZE;
+  const pageLeaders = leaders.slice(start, start + QUEUE_PAGE_SIZE);
+  const pageMembers = members.slice(start, start + QUEUE_PAGE_SIZE);
+  const userIds = [
+    ...new Set([
+      ...pageLeaders.flatMap(leader => [leader.userId, ...leader.teammates, ...leader.crew.map(member => member.userId)]),
+      ...pageMembers.map(member => member.userId)
+    ])
+  ];
+  const memberNames = await getMemberNames(event.guildId, userIds);
+  const names = new Map(userIds.map((id, index) => [id, memberNames[index]]));
+  const now = Date.now();
+  const leaderLines = pageLeaders.map((leader, index) => {
+    const team = [...leader.teammates, ...leader.crew.map(member => member.userId)].map(id => names.get(id));
+    const withTeam = team.length > 0 ? ` · with ${team.join(', ')}` : '';
+    return `${start + index + 1}. **${names.get(leader.userId)}** · needs ${leader.additionalNeeded} · waiting ${formatDuration(now - leader.timestamp)}${withTeam}`;
+  });
+  const memberLines = pageMembers.map((member, index) =>
+    `${start + index + 1}. **${names.get(member.userId)}** · waiting ${formatDuration(now - member.timestamp)}`
+  );
+  const embed = new EmbedBuilder()
+    .setTitle(`queue details: ${event.name}`)
+    .setDescription(
+      `**team leaders (${leaders.length})**\n${leaderLines.join('\n') || 'none'}\n\n` +
+      `**team members (${members.length})**\n${memberLines.join('\n') || 'none'}\n\n` +
+      `**pending matches:** ${pendingMatches.length}\n` +
+      `**teams being set up:** ${formingMatches.length}`
+    )
+    .setFooter({ text: `page ${current}/${pageCount}` })
+    .setColor(0x0099ff)
+    .setTimestamp(new Date());
+  const previousButton = new ButtonBuilder()
+    .setCustomId(`admin_list_page:${eventRef(event)}:${current - 1}`)
+    .setLabel('previous')
+    .setStyle(ButtonStyle.Secondary)
+    .setDisabled(current <= 1);
+  const nextButton = new ButtonBuilder()
+    .setCustomId(`admin_list_page:${eventRef(event)}:${current + 1}`)
+    .setLabel('next')
+    .setStyle(ButtonStyle.Secondary)
+    .setDisabled(current >= pageCount);
+  const row = new ActionRowBuilder().addComponents(previousButton, nextButton);
+  return { embeds: [embed], components: [row] };
+}
+
+async function handleAdminRemove(interaction, event) {
+  const user = interaction.options.getUser('user');
+  const outcome = await withQueues(event, state => removeFromQueues(state, user.id));
+  if (outcome.status === 'none') {
+    await interaction.reply({ content: `<@${user.id}> is not in any queue.`, ephemeral: true });
+    return;
+  }
+  if (outcome.status === 'pending') {
+    await notifyMatchCancelled(event, outcome.match, [user.id]);
+  }
+  await logEvent(`admin ${interaction.user.id} removed ${user.id} from the queues (was ${outcome.status}).`, {
+    type: 'admin.remove',
+    actorId: interaction.user.id,
+    userId: user.id,
+    event,
+    payload: { was: outcome.status }
+  });
+  await interaction.reply({ content: `removed <@${user.id}> from the queues.`, ephemeral: true });
+  await tryMatching(event);
+}
+
+async function handleAdminAdd(interaction, event) {
+  const user = interaction.options.getUser('user');
+  const role = interaction.options.getString('role');
+  const needed = interaction.options.getInteger('needed') ?? 1;
+  if (user.bot) {
+    await interaction.reply({ content: 'bots cannot be added to the queues.', ephemeral: true });
+    return;
+  }
+  if (await getBlock(event.guildId, user.id)) {
+    await interaction.reply({ content: `<@${user.id}> is blocked; unblock them with \`/admin block remove\` first.`, ephemeral: true });
+    return;
+  }
+  const config = await getConfig(event);
+  if (role === 'leader' && needed > config.maxTeamSize - 1) {
+    await interaction.reply({ content: `teams are capped at ${config.maxTeamSize} people.`, ephemeral: true });
+    return;
+  }
+  const added = await withQueues(event, state => {
+    if (isInQueues(state, user.id)) return false;
+    if (role === 'leader') {
+      state.leaders.push({
+        userId: user.id,
+        additionalNeeded: needed,
+        teammates: [],
+        crew: [],
+        timestamp: Date.now(),
+        tags: emptyTags()
+      });
+    } else {
+      state.members.push({ userId: user.id, timestamp: Date.now(), tags: emptyTags() });
+    }
+    return true;
+  });
+  if (!added) {
+    await interaction.reply({ content: `<@${user.id}> is already in a queue.`, ephemeral: true });
+    return;
+  }
+  await recordMetric(event, 'joins');
+  const detail = role === 'leader' ? ` needing ${needed} team member(s)` : '';
+  await logEvent(`admin ${interaction.user.id} added ${user.id} as team ${role}${detail}.`, {
+    type: 'admin.add',
+    actorId: interaction.user.id,
+    userId: user.id,
+    event,
+    payload: { role, needed: role === 'leader' ? needed : null }
+  });
+  await interaction.reply({ content: `added <@${user.id}> as team ${role}${detail}.`, ephemeral: true });
+  await tryMatching(event);
+}
+
+async function handleAdminMove(interaction, event) {
+  const member = interaction.options.getUser('member');
+  const leader = interaction.options.getUser('leader');
+  const error = await withQueues(event, state => {
+    const memberEntry = state.members.find(entry => entry.userId === member.id);
+    if (!memberEntry) return `<@${member.id}> is not waiting in the team member queue.`;
+    const leaderEntry = state.leaders.find(entry => entry.userId === leader.id);
+    if (!leaderEntry) return `<@${leader.id}> is not waiting in the team leader queue.`;
+    if (leaderEntry.additionalNeeded <= 0) return `<@${leader.id}>'s team is already full.`;
+    state.members = state.members.filter(entry => entry.userId !== member.id);
+    leaderEntry.crew.push(memberEntry);
+    leaderEntry.additionalNeeded--;
+    return null;
+  });
+  if (error) {
+    await interaction.reply({ content: error, ephemeral: true });
+    return;
+  }
+  await logEvent(`admin ${interaction.user.id} moved team member ${member.id} into team leader ${leader.id}'s crew.`, {
+    type: 'admin.move',
+    actorId: interaction.user.id,
+    userId: member.id,
+    event,
+    payload: { leaderId: leader.id }
+  });
+  await interaction.reply({ content: `moved <@${member.id}> into <@${leader.id}>'s team.`, ephemeral: true });
+  // a team that just filled up goes through the usual acceptance step
+  await tryMatching(event);
+}
+
+async function handleAdminCreate(interaction, event) {
+  const leader = interaction.options.getUser('leader');
+  const members = Array.from(
+    { length: MAX_CONFIGURABLE_TEAM_SIZE - 1 },
+    (_, index) => interaction.options.getUser(`member${index + 1}`)
+  ).filter(Boolean);
+  const userIds = [leader.id, ...members.map(member => member.id)];
+  if (new Set(userIds).size !== userIds.length || [leader, ...members].some(user => user.bot)) {
+    await interaction.reply({ content: 'pick distinct, non-bot users for the team.', ephemeral: true });
+    return;
+  }
+  const config = await getConfig(event);
+  if (userIds.length > config.maxTeamSize) {
+    await interaction.reply({ content: `teams are capped at ${config.maxTeamSize} people.`, ephemeral: true });
+    return;
+  }
+  // someone whose team is being set up, or who is on an open team, would end up on two teams;
+  // organizers kick them from the other team first. pending matches are simply cancelled.
+  const teamIds = new Map();
+  for (const team of await listTeams(event)) {
+    if (team.status === 'closed') continue;
+    for (const userId of [team.leaderId, ...team.memberIds]) teamIds.set(userId, team.id);
+  }
+  const onTeam = userIds.filter(userId => teamIds.has(userId));
+  if (onTeam.length > 0) {
+    await interaction.reply({
+      content: `${onTeam.map(userId => `<@${userId}> is on ${teamIds.get(userId)}`).join('; ')}. remove them from that team first.`,
+      ephemeral: true
+    });
+    return;
+  }
+  await interaction.deferReply({ ephemeral: true });
+  const outcomes = await withQueues(event, state => {
+    const forming = userIds.filter(userId => findFormingMatch(state, userId));
+    if (forming.length > 0) return { forming };
+    return { removed: userIds.map(userId => removeFromQueues(state, userId)) };
+  });
+  if (outcomes.forming) {
+    await interaction.editReply({
+      content: `${outcomes.forming.map(userId => `<@${userId}>`).join(', ')} already accepted a match whose team is being set up.`
+    });
+    return;
+  }
+  for (const outcome of outcomes.removed) {
+    if (outcome.status === 'pending') {
+      await notifyMatchCancelled(event, outcome.match, userIds);
+    }
+  }
+  const now = Date.now();
+  try {
+    await createTeamThread(event, {
+      userId: leader.id,
+      additionalNeeded: 0,
+      teammates: [],
+      crew: members.map(member => ({ userId: member.id, timestamp: now, tags: emptyTags() })),
+      timestamp: now,
+      tags: emptyTags()
+    });
+  } catch (err) {
+    await logEvent(`error force-creating a team for ${leader.id}: ${err.message}`, {
+      level: 'error',
+      type: 'admin.create',
+      actorId: interaction.user.id,
+      userId: leader.id,
+      event
+    });
+    await interaction.editReply({ content: `could not create the team thread: ${err.message}` });
+    return;
+  }
+  await logEvent(`admin ${interaction.user.id} force-created a team: leader ${leader.id}, members ${members.map(member => member.id).join(', ')}.`, {
+    type: 'admin.create',
+    actorId: interaction.user.id,
+    userId: leader.id,
+    event,
+    payload: { memberIds: members.map(member => member.id) }
+  });
+  await interaction.editReply({ content: `team created for <@${leader.id}>.` });
+  await tryMatching(event);
+}
+
+// names come from users, and spreadsheets run cells starting with = + - @, a tab or a carriage
+// return as formulas; a leading quote makes them plain text.
+function csvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+function isoTime(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString() : null;
+}
+
+// builds the export as plain data first; csv flattens it to one row per person.
+async function buildExport(event, includeClosed) {
+  const teams = (await listTeams(event)).filter(team => includeClosed || team.status !== 'closed');
+  const { leaders, members, pendingMatches } = await readQueues(clients.redis, event);
+  const queuedLeaders = [...leaders, ...pendingMatches.map(match => match.leader)];
+  const userIds = [
+    ...new Set([
+      ...teams.flatMap(team => [team.leaderId, ...team.memberIds]),
+      ...queuedLeaders.flatMap(leader => [leader.userId, ...leader.teammates, ...leader.crew.map(member => member.userId)]),
+      ...members.map(member => member.userId)
+    ])
+  ];
+  const displayNames = await getMemberNames(event.guildId, userIds);
+  const names = new Map(userIds.map((id, index) => [id, displayNames[index]]));
+  const person = userId => ({ userId, displayName: names.get(userId) });
+  const pendingLeaderIds = new Set(pendingMatches.map(match => match.leader.userId));
+  return {
+    event: { guildId: event.guildId, eventId: event.eventId, name: event.name },
+    exportedAt: isoTime(Date.now()),
+    teams: teams.map(team => ({
+      id: team.id,
+      status: team.status,
+      leader: person(team.leaderId),
+      members: team.memberIds.map(person),
+      threadUrl: `https://discord.com/channels/${event.guildId}/${team.threadId}`,
+      createdAt: isoTime(team.createdAt),
+      confirmedAt: isoTime(team.confirmedAt)
+    })),
+    queue: {
+      leaders: queuedLeaders.map(leader => ({
+        ...person(leader.userId),
+        status: pendingLeaderIds.has(leader.userId) ? 'pending' : 'waiting',
+        additionalNeeded: leader.additionalNeeded,
+        teammates: leader.teammates.map(person),
+        crew: leader.crew.map(member => person(member.userId)),
+        waitingSince: isoTime(leader.timestamp)
+      })),
+      members: members.map(member => ({ ...person(member.userId), status: 'waiting', waitingSince: isoTime(member.timestamp) }))
+    }
+  };
+}
+
+function exportToCsv(data) {
+  const header = ['record', 'team_id', 'status', 'role', 'user_id', 'display_name', 'thread_url', 'confirmed_at', 'waiting_since'];
+  const rows = [];
+  for (const team of data.teams) {
+    for (const [role, member] of [['leader', team.leader], ...team.members.map(member => ['member', member])]) {
+      rows.push(['team', team.id, team.status, role, member.userId, member.displayName, team.threadUrl, team.confirmedAt, null]);
+    }
+  }
+  for (const leader of data.queue.leaders) {
+    rows.push(['queue', null, leader.status, 'leader', leader.userId, leader.displayName, null, null, leader.waitingSince]);
+    for (const teammate of leader.teammates) {
+      rows.push(['queue', null, leader.status, 'teammate', teammate.userId, teammate.displayName, null, null, leader.waitingSince]);
+    }
+    for (const member of leader.crew) {
+      rows.push(['queue', null, leader.status, 'crew', member.userId, member.displayName, null, null, leader.waitingSince]);
+    }
+  }
+  for (const member of data.queue.members) {
+    rows.push(['queue', null, member.status, 'member', member.userId, member.displayName, null, null, member.waitingSince]);
+  }
+  return [header, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+async function handleAdminExport(interaction, event) {
+  const format = interaction.options.getString('format');
+  const includeClosed = interaction.options.getBoolean('include_closed') ?? false;
+  await interaction.deferReply({ ephemeral: true });
+  const data = await buildExport(event, includeClosed);
+  const content = format === 'csv' ? exportToCsv(data) : JSON.stringify(data, null, 2);
+  const attachment = new AttachmentBuilder(Buffer.from(content), { name: `teams-${event.eventId}.${format}` });
+  await logEvent(`admin ${interaction.user.id} exported ${data.teams.length} team(s) from ${eventRef(event)} as ${format}.`, {
+    type: 'admin.export',
+    actorId: interaction.user.id,
+    event,
+    payload: { format, includeClosed }
+  });
+  await interaction.editReply({
+    content: `${data.teams.length} team(s), ${data.queue.leaders.length} queued leader(s) and ${data.queue.members.length} queued member(s).`,
+    files: [attachment]
+  });
+}
+
+async function handleAdminMentor(interaction, event, subcommand) {
+  if (subcommand === 'list') {
+    const [mentors, teams, tickets] = await Promise.all([
+      listMentors(event),
+      listTeams(event),
+      readHelpTickets(clients.redis, event)
+    ]);
+    const loads = mentorTeamLoads(mentors, teams);
+    const lines = mentors.map(mentor => {
+      const openTickets = tickets.filter(ticket => ticket.status !== 'resolved' && (ticket.claimedBy ?? ticket.mentorId) === mentor.userId);
+      const assigned = mentor.lastAssignedAt ? ` · last assigned <t:${Math.floor(mentor.lastAssignedAt / 1000)}:R>` : '';
+      return `<@${mentor.userId}> · ${loads.get(mentor.userId)} open team(s) · ${openTickets.length} unresolved help request(s)${assigned}`;
+    });
+    let description = lines.join('\n') || 'no mentors in the pool yet. add some with `/admin mentor add`.';
+    if (description.length > 4000) {
+      description = `${description.slice(0, 4000)}\n…`;
+    }
+    const embed = new EmbedBuilder()
+      .setTitle(`mentors: ${event.name} (${mentors.length})`)
+      .setDescription(description)
+      .setColor(0x0099ff)
+      .setTimestamp(new Date());
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+    return;
+  }
+  if (subcommand === 'remove') {
+    const user = interaction.options.getUser('user');
+    if (!(await removeMentor(event, user.id))) {
+      await interaction.reply({ content: `<@${user.id}> is not in the mentor pool.`, ephemeral: true });
+      return;
+    }
+    await logEvent(`admin ${interaction.user.id} removed mentor ${user.id} from the pool of ${eventRef(event)}.`, {
+      type: 'admin.mentor',
+      actorId: interaction.user.id,
+      userId: user.id,
+      event
+    });
+    await interaction.reply({ content: `removed <@${user.id}> from the mentor pool.`, ephemeral: true });
+    return;
+  }
+  const user = interaction.options.getUser('user');
+  const role = interaction.options.getRole('role');
+  if (!user && !role) {
+    await interaction.reply({ content: 'pick a user or a role to add.', ephemeral: true });
+    return;
+  }
+  await interaction.deferReply({ ephemeral: true });
+  const userIds = new Set(user && !user.bot ? [user.id] : []);
+  if (role) {
+    const members = await clients.discord.guilds.cache.get(event.guildId).members.fetch();
+    for (const member of members.values()) {
+      if (member.roles.cache.has(role.id) && !member.user.bot) userIds.add(member.id);
+    }
+  }
+  const added = [];
+  for (const userId of userIds) {
+    if (await addMentor(event, userId)) added.push(userId);
+  }
+  if (added.length > 0) {
+    await logEvent(`admin ${interaction.user.id} added mentor(s) ${added.join(', ')} to the pool of ${eventRef(event)}.`, {
+      type: 'admin.mentor',
+      actorId: interaction.user.id,
+      event,
+      payload: { mentorIds: added }
+    });
+  }
+  await interaction.editReply({
+    content: added.length > 0
+      ? `added ${added.map(id => `<@${id}>`).join(', ')} to the mentor pool.`
+      : 'nobody new to add; they are already in the pool.'
+  });
+}
+
+async function showHelpTickets(interaction, event) {
+  const status = interaction.options.getString('status');
+  const tickets = (await readHelpTickets(clients.redis, event))
+    .filter(ticket => (status ? ticket.status === status : ticket.status !== 'resolved'));
+  const lines = tickets.map(ticket => {
+    const mentor = ticket.claimedBy ? ` · claimed by <@${ticket.claimedBy}>` : ticket.mentorId ? ` · pinged <@${ticket.mentorId}>` : '';
+    return `**${ticket.id}** · ${ticket.status} · ${ticket.teamId} <#${ticket.threadId}> · asked by <@${ticket.requesterId}> ` +
+      `<t:${Math.floor(ticket.createdAt / 1000)}:R>${mentor}`;
+  });
+  let description = lines.join('\n') || 'no help requests found.';
+  if (description.length > 4000) {
+    description = `${description.slice(0, 4000)}\n…`;
+  }
+  const embed = new EmbedBuilder()
+    .setTitle(`help requests (${tickets.length})`)
+    .setDescription(description)
+    .setColor(0x0099ff)
+    .setTimestamp(new Date());
+  await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+async function handleAdminConfig(interaction, event, subcommand) {
+  if (subcommand === 'show') {
+    const rawValues = await clients.redis.hGetAll(eventKey(event, REDIS_KEY_CONFIG));
+    const lines = Object.entries(CONFIG_SETTINGS).map(([key, setting]) => {
+      const value = rawValues[key] ?? setting.default;
+      const source = key in rawValues ? '' : ' (default)';
+      return `**${key}**${source}: \`${value}\`\n${setting.description}`;
+    });
+    const embed = new EmbedBuilder()
+      .setTitle('configuration')
+      .setDescription(lines.join('\n\n'))
+      .setColor(0x0099ff)
+      .setTimestamp(new Date());
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+    return;
+  }
+  const key = interaction.options.getString('key');
+  if (subcommand === 'set') {
+    const value = interaction.options.getString('value');
+    const error = await setConfigValue(event, key, value);
+    if (error) {
+      await interaction.reply({ content: `could not update ${key}: ${error}`, ephemeral: true });
+      return;
+    }
+    await logEvent(`admin ${interaction.user.id} set ${key} to ${value}.`, {
+      type: 'admin.config',
+      actorId: interaction.user.id,
+      event,
+      payload: { key, value }
+    });
+    await interaction.reply({ content: `${key} updated.`, ephemeral: true });
+    scheduleLobbyRefresh(event);
+  } else if (subcommand === 'reset') {
+    const error = await resetConfigValue(event, key);
+    if (error) {
+      await interaction.reply({ content: `could not reset ${key}: ${error}`, ephemeral: true });
+      return;
+    }
+    await logEvent(`admin ${interaction.user.id} reset ${key} to its default.`, {
+      type: 'admin.config',
+      actorId: interaction.user.id,
+      event,
+      payload: { key, value: null }
+    });
+    await interaction.reply({ content: `${key} reset to its default.`, ephemeral: true });
+    scheduleLobbyRefresh(event);
+  }
+}
+
+// the newest `limit` entries of an audit stream, optionally of one category. without a category
+// that is a single read; with one, the stream is read newest first a page at a time, and at most
+// AUDIT_SCAN_LIMIT entries are looked at.
+async function readAuditEntries(key, category, limit) {
+  if (!category) {
+    return (await clients.redis.xRevRange(key, '+', '-', { COUNT: limit })).map(entry => entry.message);
+  }
+  const matching = [];
+  let end = '+';
+  for (let scanned = 0; scanned < AUDIT_SCAN_LIMIT && matching.length < limit;) {
+    const page = await clients.redis.xRevRange(key, end, '-', { COUNT: AUDIT_SCAN_PAGE_SIZE });
+    scanned += page.length;
+    matching.push(...page.map(entry => entry.message).filter(fields => fields.type.startsWith(`${category}.`)));
+    if (page.length < AUDIT_SCAN_PAGE_SIZE) break;
+    // exclusive, so the next page starts just before the oldest entry of this one
+    end = `(${page[page.length - 1].id}`;
+  }
+  return matching.slice(0, limit);
+}
+
+async function showAudit(interaction) {
+  const user = interaction.options.getUser('user');
+  const category = interaction.options.getString('type');
+  const limit = interaction.options.getInteger('limit') ?? AUDIT_PAGE_SIZE;
+  const matching = await readAuditEntries(`${REDIS_KEY_AUDIT_USER_PREFIX}${interaction.guildId}:${user.id}`, category, limit);
+  const lines = matching.map(fields => {
+    const where = fields.event ? ` · ${fields.event.split(':')[1]}` : '';
+    const level = fields.level === 'info' ? '' : ` · **${fields.level}**`;
+    return `<t:${Math.floor(Number(fields.time) / 1000)}:f> · \`${fields.type}\`${where}${level}\n${fields.message}`;
+  });
+  let description = lines.join('\n\n') || 'no audit entries found.';
+  if (description.length > 4000) {
+    description = `${description.slice(0, 4000)}\n…`;
+  }
+  const embed = new EmbedBuilder()
+    .setTitle(`audit log: ${user.tag}`)
+    .setDescription(description)
+    .setFooter({ text: `${matching.length} entr${matching.length === 1 ? 'y' : 'ies'}` })
+    .setColor(0x0099ff)
+    .setTimestamp(new Date());
+  await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+// the blocklist covers every event in the server, so it needs no event option.
+async function handleAdminBlock(interaction, subcommand) {
+  if (subcommand === 'list') {
+    const blocks = await listBlocks(interaction.guildId);
+    const lines = blocks.map(block => {
+      const reason = block.reason ? ` · ${block.reason}` : '';
+      return `<@${block.userId}> · by <@${block.blockedBy}> <t:${Math.floor(block.blockedAt / 1000)}:R>${reason}`;
+    });
+    let description = lines.join('\n') || 'nobody is blocked.';
+    if (description.length > 4000) {
+      description = `${description.slice(0, 4000)}\n…`;
+    }
+    const embed = new EmbedBuilder()
+      .setTitle(`blocked users (${blocks.length})`)
+      .setDescription(description)
+      .setColor(0x0099ff)
+      .setTimestamp(new Date());
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+    return;
+  }
+  const user = interaction.options.getUser('user');
+  if (subcommand === 'remove') {
+    if (!(await unblockUser(interaction.guildId, user.id))) {
+      await interaction.reply({ content: `<@${user.id}> is not blocked.`, ephemeral: true });
+      return;
+    }
+    await logEvent(`admin ${interaction.user.id} unblocked ${user.id}.`, {
+      type: 'admin.unblock',
+      actorId: interaction.user.id,
+      userId: user.id,
+      guildId: interaction.guildId
+    });
+    await interaction.reply({ content: `<@${user.id}> can join the queues again.`, ephemeral: true });
+    return;
+  }
+  const reason = interaction.options.getString('reason');
+  if (!(await blockUser(interaction.guildId, user.id, reason, interaction.user.id))) {
+    await interaction.reply({ content: `<@${user.id}> is already blocked.`, ephemeral: true });
+    return;
+  }
+  await interaction.deferReply({ ephemeral: true });
+  await logEvent(`admin ${interaction.user.id} blocked ${user.id}${reason ? `: ${reason}` : ''}.`, {
+    type: 'admin.block',
+    actorId: interaction.user.id,
+    userId: user.id,
+    guildId: interaction.guildId,
+    payload: { reason }
+  });
+  // teams that already formed are left alone; organizers can still kick them from those
+  const removedFrom = [];
+  for (const event of await listEvents(interaction.guildId)) {
+    const outcome = await withQueues(event, state => removeFromQueues(state, user.id));
+    if (outcome.status === 'none') continue;
+    if (outcome.status === 'pending') {
+      await notifyMatchCancelled(event, outcome.match, [user.id]);
+    }
+    await logEvent(`removed blocked user ${user.id} from the queues of ${eventRef(event)} (was ${outcome.status}).`, {
+      type: 'admin.remove',
+      actorId: interaction.user.id,
+      userId: user.id,
+      event,
+      payload: { was: outcome.status }
+    });
+    removedFrom.push(event.name);
+    await tryMatching(event);
+  }
+  await interaction.editReply({
+    content: removedFrom.length > 0
+      ? `blocked <@${user.id}> and removed them from the queues of ${removedFrom.join(', ')}.`
+      : `blocked <@${user.id}>.`
+  });
+}
+
+async function handleAdminEvent(interaction, subcommand) {
+  if (subcommand === 'list') {
+    const events = await listEvents(interaction.guildId);
+    const lines = [];
+    for (const event of events) {
+      const { leaders, members, pendingMatches } = await readQueues(clients.redis, event);
+      lines.push(
+        `**${event.name}** (\`${event.eventId}\`) · <#${event.lobbyChannelId}> · ` +
+        `${leaders.length} leader(s), ${members.length} member(s), ${pendingMatches.length} pending match(es)`
+      );
+    }
+    const embed = new EmbedBuilder()
+      .setTitle(`events (${events.length})`)
+      .setDescription(lines.join('\n') || 'no events set up in this server.')
+      .setColor(0x0099ff)
+      .setTimestamp(new Date());
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+    return;
+  }
+  const eventId = interaction.options.getString('id');
+  const channel = interaction.options.getChannel('channel');
+  if (!EVENT_ID_PATTERN.test(eventId)) {
+    await interaction.reply({ content: 'event ids may only use lowercase letters, digits and dashes.', ephemeral: true });
+    return;
+  }
+  const channelEvent = await findEventByChannel(channel.id);
+  if (channelEvent && channelEvent.lobbyChannelId === channel.id && channelEvent.eventId !== eventId) {
+    await interaction.reply({ content: `<#${channel.id}> is already the lobby for \`${channelEvent.eventId}\`.`, ephemeral: true });
+    return;
+  }
+  await interaction.deferReply({ ephemeral: true });
+  const existing = await getEvent(interaction.guildId, eventId);
+  const event = {
+    guildId: interaction.guildId,
+    eventId,
+    createdAt: Date.now(),
+    ...existing,
+    name: interaction.options.getString('name') ?? existing?.name ?? eventId,
+    lobbyChannelId: channel.id
+  };
+  await saveEvent(event);
+  if (!existing) await markMentorsMigrated(event);
+  await logEvent(`admin ${interaction.user.id} ${existing ? 'updated' : 'set up'} event ${eventRef(event)} with its lobby in ${channel.id}.`, {
+    type: 'event.setup',
+    actorId: interaction.user.id,
+    event
+  });
+  try {
+    await syncLobbyMessage(event);
+  } catch (err) {
+    await interaction.editReply({ content: `event saved, but the lobby could not be posted in <#${channel.id}>: ${err.message}` });
+    return;
+  }
+  await interaction.editReply({
+    content: `event **${event.name}** (\`${eventId}\`) ${existing ? 'updated' : 'created'}; its lobby is in <#${channel.id}>.`
+  });
+}
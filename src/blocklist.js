@@ -0,0 +1,50 @@
+import { clients } from './clients.js';
+import { REDIS_KEY_BLOCKLIST_PREFIX, REDIS_KEY_AVOID_PREFIX } from './constants.js';
+
+// Blocklist: users an organizer has kept out of the queues of every event in a server.
+// Each entry: { userId, reason, blockedBy, blockedAt }
+export async function getBlock(guildId, userId) {
+  const blockData = await clients.redis.hGet(`${REDIS_KEY_BLOCKLIST_PREFIX}${guildId}`, userId);
+  return blockData ? JSON.parse(blockData) : null;
+}
+
+export async function listBlocks(guildId) {
+  const blocksData = await clients.redis.hVals(`${REDIS_KEY_BLOCKLIST_PREFIX}${guildId}`);
+  return blocksData.map(data => JSON.parse(data)).sort((a, b) => a.blockedAt - b.blockedAt);
+}
+
+// resolves to false when they were already blocked.
+export async function blockUser(guildId, userId, reason, actorId) {
+  const block = { userId, reason, blockedBy: actorId, blockedAt: Date.now() };
+  return Boolean(await clients.redis.hSetNX(`${REDIS_KEY_BLOCKLIST_PREFIX}${guildId}`, userId, JSON.stringify(block)));
+}
+
+export async function unblockUser(guildId, userId) {
+  return (await clients.redis.hDel(`${REDIS_KEY_BLOCKLIST_PREFIX}${guildId}`, userId)) > 0;
+}
+
+// Pairing preferences: the people each user would rather not be teamed with, as a json array
+// of user ids per user. They only steer tryMatching; a leader can still name anyone as a teammate.
+export async function getAvoidedUsers(guildId, userId) {
+  const avoidedData = await clients.redis.hGet(`${REDIS_KEY_AVOID_PREFIX}${guildId}`, userId);
+  return avoidedData ? JSON.parse(avoidedData) : [];
+}
+
+export async function setAvoidedUsers(guildId, userId, avoidedIds) {
+  if (avoidedIds.length === 0) {
+    await clients.redis.hDel(`${REDIS_KEY_AVOID_PREFIX}${guildId}`, userId);
+  } else {
+    await clients.redis.hSet(`${REDIS_KEY_AVOID_PREFIX}${guildId}`, userId, JSON.stringify(avoidedIds));
+  }
+}
+
+// every preference in the server, as user id -> set of user ids, for the matcher to check synchronously.
+export async function loadAvoidance(guildId) {
+  const avoidedData = await clients.redis.hGetAll(`${REDIS_KEY_AVOID_PREFIX}${guildId}`);
+  return new Map(Object.entries(avoidedData).map(([userId, data]) => [userId, new Set(JSON.parse(data))]));
+}
+
+// either of them asking is enough to keep two people apart.
+export function avoidsPairing(avoidance, userId, otherId) {
+  return Boolean(avoidance.get(userId)?.has(otherId) || avoidance.get(otherId)?.has(userId));
+}
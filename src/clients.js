@@ -0,0 +1,8 @@
+// The redis and discord clients every module talks to. bot.js connects the real ones on
+// startup; tests hand in fakes.
+export const clients = { redis: null, discord: null };
+
+export function setClients({ redis, discord }) {
+  clients.redis = redis;
+  clients.discord = discord;
+}
@@ -0,0 +1,498 @@
+import { ApplicationCommandOptionType, ChannelType } from 'discord.js';
+import {
+  MAX_CONFIGURABLE_TEAM_SIZE,
+  AUDIT_PAGE_SIZE,
+  AUDIT_CATEGORIES,
+  TEAM_STATUSES,
+  HELP_STATUSES,
+  STATS_DEFAULT_HOURS,
+  STATS_MAX_HOURS
+} from './constants.js';
+import { logEvent } from './log.js';
+import { getEvent, listEvents, findEventByChannel } from './events.js';
+import { CONFIG_SETTINGS } from './settings.js';
+
+// admin subcommands act on one event: the one named in their event option, or else the
+// event whose lobby (or team thread) they are used in.
+const EVENT_OPTION = {
+  name: 'event',
+  type: ApplicationCommandOptionType.String,
+  description: "event id (defaults to this channel's event)"
+};
+
+function addEventOption(option) {
+  if (option.type === ApplicationCommandOptionType.SubcommandGroup) {
+    return { ...option, options: option.options.map(addEventOption) };
+  }
+  return { ...option, options: [...(option.options ?? []), EVENT_OPTION] };
+}
+
+function buildAdminCommand() {
+  const eventSubcommands = [
+    {
+      name: 'panel',
+      type: ApplicationCommandOptionType.Subcommand,
+      description: 'show admin panel'
+    },
+    {
+      name: 'clear',
+      type: ApplicationCommandOptionType.Subcommand,
+      description: 'clear all queues'
+    },
+    {
+      name: 'list',
+      type: ApplicationCommandOptionType.Subcommand,
+      description: 'list current queue details',
+      options: [
+        {
+          name: 'page',
+          type: ApplicationCommandOptionType.Integer,
+          description: 'page to show',
+          min_value: 1
+        }
+      ]
+    },
+    {
+      name: 'remove',
+      type: ApplicationCommandOptionType.Subcommand,
+      description: 'remove a user from every queue',
+      options: [
+        {
+          name: 'user',
+          type: ApplicationCommandOptionType.User,
+          description: 'user to remove',
+          required: true
+        }
+      ]
+    },
+    {
+      name: 'add',
+      type: ApplicationCommandOptionType.Subcommand,
+      description: 'add a user to a queue',
+      options: [
+        {
+          name: 'user',
+          type: ApplicationCommandOptionType.User,
+          description: 'user to add',
+          required: true
+        },
+        {
+          name: 'role',
+          type: ApplicationCommandOptionType.String,
+          description: 'queue to add them to',
+          required: true,
+          choices: [
+            { name: 'member', value: 'member' },
+            { name: 'leader', value: 'leader' }
+          ]
+        },
+        {
+          name: 'needed',
+          type: ApplicationCommandOptionType.Integer,
+          description: 'team members a leader still needs (defaults to 1)',
+          min_value: 1,
+          max_value: MAX_CONFIGURABLE_TEAM_SIZE - 1
+        }
+      ]
+    },
+    {
+      name: 'move',
+      type: ApplicationCommandOptionType.Subcommand,
+      description: "move a waiting member into a leader's crew",
+      options: [
+        {
+          name: 'member',
+          type: ApplicationCommandOptionType.User,
+          description: 'waiting team member',
+          required: true
+        },
+        {
+          name: 'leader',
+          type: ApplicationCommandOptionType.User,
+          description: 'team leader to move them to',
+          required: true
+        }
+      ]
+    },
+    {
+      name: 'create',
+      type: ApplicationCommandOptionType.Subcommand,
+      description: 'force-create a team from the given users',
+      options: [
+        {
+          name: 'leader',
+          type: ApplicationCommandOptionType.User,
+          description: 'team leader',
+          required: true
+        },
+        ...Array.from({ length: MAX_CONFIGURABLE_TEAM_SIZE - 1 }, (_, index) => ({
+          name: `member${index + 1}`,
+          type: ApplicationCommandOptionType.User,
+          description: `team member ${index + 1}`,
+          required: index === 0
+        }))
+      ]
+    },
+    {
+      name: 'match',
+      type: ApplicationCommandOptionType.Subcommand,
+      description: 'force a matching check'
+    },
+    {
+      name: 'teams',
+      type: ApplicationCommandOptionType.Subcommand,
+      description: 'list teams formed by the bot',
+      options: [
+        {
+          name: 'status',
+          type: ApplicationCommandOptionType.String,
+          description: 'only show teams with this status',
+          choices: TEAM_STATUSES.map(status => ({ name: status, value: status }))
+        },
+        {
+          name: 'user',
+          type: ApplicationCommandOptionType.User,
+          description: 'only show teams this user is on'
+        }
+      ]
+    },
+    {
+      name: 'export',
+      type: ApplicationCommandOptionType.Subcommand,
+      description: 'download formed teams and the unmatched queue',
+      options: [
+        {
+          name: 'format',
+          type: ApplicationCommandOptionType.String,
+          description: 'file format',
+          required: true,
+          choices: [
+            { name: 'csv', value: 'csv' },
+            { name: 'json', value: 'json' }
+          ]
+        },
+        {
+          name: 'include_closed',
+          type: ApplicationCommandOptionType.Boolean,
+          description: 'also include teams whose thread was closed'
+        }
+      ]
+    },
+    {
+      name: 'stats',
+      type: ApplicationCommandOptionType.Subcommand,
+      description: 'show joins, matches, wait times and teams over time',
+      options: [
+        {
+          name: 'hours',
+          type: ApplicationCommandOptionType.Integer,
+          description: `how far back the charts go (defaults to ${STATS_DEFAULT_HOURS})`,
+          min_value: 1,
+          max_value: STATS_MAX_HOURS
+        }
+      ]
+    },
+    {
+      name: 'mentor',
+      type: ApplicationCommandOptionType.SubcommandGroup,
+      description: 'manage the mentor pool teams are assigned mentors from',
+      options: [
+        {
+          name: 'add',
+          type: ApplicationCommandOptionType.Subcommand,
+          description: 'add a mentor, or everyone with a role, to the pool',
+          options: [
+            {
+              name: 'user',
+              type: ApplicationCommandOptionType.User,
+              description: 'mentor to add'
+            },
+            {
+              name: 'role',
+              type: ApplicationCommandOptionType.Role,
+              description: 'add everyone who has this role'
+            }
+          ]
+        },
+        {
+          name: 'remove',
+          type: ApplicationCommandOptionType.Subcommand,
+          description: 'take a mentor out of the pool',
+          options: [
+            {
+              name: 'user',
+              type: ApplicationCommandOptionType.User,
+              description: 'mentor to remove',
+              required: true
+            }
+          ]
+        },
+        {
+          name: 'list',
+          type: ApplicationCommandOptionType.Subcommand,
+          description: 'show the mentor pool and how busy each mentor is'
+        }
+      ]
+    },
+    {
+      name: 'help',
+      type: ApplicationCommandOptionType.Subcommand,
+      description: 'list help requests from teams',
+      options: [
+        {
+          name: 'status',
+          type: ApplicationCommandOptionType.String,
+          description: 'only show requests with this status (defaults to open and claimed)',
+          choices: HELP_STATUSES.map(status => ({ name: status, value: status }))
+        }
+      ]
+    },
+    {
+      name: 'config',
+      type: ApplicationCommandOptionType.SubcommandGroup,
+      description: 'view or change runtime settings',
+      options: [
+        {
+          name: 'show',
+          type: ApplicationCommandOptionType.Subcommand,
+          description: 'show every setting'
+        },
+        {
+          name: 'set',
+          type: ApplicationCommandOptionType.Subcommand,
+          description: 'change a setting',
+          options: [
+            {
+              name: 'key',
+              type: ApplicationCommandOptionType.String,
+              description: 'setting to change',
+              required: true,
+              choices: Object.keys(CONFIG_SETTINGS).map(key => ({ name: key, value: key }))
+            },
+            {
+              name: 'value',
+              type: ApplicationCommandOptionType.String,
+              description: 'new value',
+              required: true
+            }
+          ]
+        },
+        {
+          name: 'reset',
+          type: ApplicationCommandOptionType.Subcommand,
+          description: 'restore a setting to its default',
+          options: [
+            {
+              name: 'key',
+              type: ApplicationCommandOptionType.String,
+              description: 'setting to reset',
+              required: true,
+              choices: Object.keys(CONFIG_SETTINGS).map(key => ({ name: key, value: key }))
+            }
+          ]
+        }
+      ]
+    }
+  ];
+  return {
+    name: 'admin',
+    description: 'team finder admin panel',
+    options: [
+      ...eventSubcommands.map(addEventOption),
+      {
+        name: 'audit',
+        type: ApplicationCommandOptionType.Subcommand,
+        description: "show a user's recent history in this server",
+        options: [
+          {
+            name: 'user',
+            type: ApplicationCommandOptionType.User,
+            description: 'user to look up',
+            required: true
+          },
+          {
+            name: 'type',
+            type: ApplicationCommandOptionType.String,
+            description: 'only show this kind of entry',
+            choices: AUDIT_CATEGORIES.map(category => ({ name: category, value: category }))
+          },
+          {
+            name: 'limit',
+            type: ApplicationCommandOptionType.Integer,
+            description: `entries to show (defaults to ${AUDIT_PAGE_SIZE})`,
+            min_value: 1,
+            max_value: 50
+          }
+        ]
+      },
+      {
+        name: 'block',
+        type: ApplicationCommandOptionType.SubcommandGroup,
+        description: "keep users out of every event's queues in this server",
+        options: [
+          {
+            name: 'add',
+            type: ApplicationCommandOptionType.Subcommand,
+            description: 'block a user and take them out of the queues',
+            options: [
+              {
+                name: 'user',
+                type: ApplicationCommandOptionType.User,
+                description: 'user to block',
+                required: true
+              },
+              {
+                name: 'reason',
+                type: ApplicationCommandOptionType.String,
+                description: 'why, for other organizers (the user is not told)',
+                max_length: 200
+              }
+            ]
+          },
+          {
+            name: 'remove',
+            type: ApplicationCommandOptionType.Subcommand,
+            description: 'let a blocked user join the queues again',
+            options: [
+              {
+                name: 'user',
+                type: ApplicationCommandOptionType.User,
+                description: 'user to unblock',
+                required: true
+              }
+            ]
+          },
+          {
+            name: 'list',
+            type: ApplicationCommandOptionType.Subcommand,
+            description: 'list blocked users'
+          }
+        ]
+      },
+      {
+        name: 'event',
+        type: ApplicationCommandOptionType.SubcommandGroup,
+        description: 'set up and list event lobbies',
+        options: [
+          {
+            name: 'setup',
+            type: ApplicationCommandOptionType.Subcommand,
+            description: 'create an event lobby in a channel, or move an existing one',
+            options: [
+              {
+                name: 'id',
+                type: ApplicationCommandOptionType.String,
+                description: 'short event id: lowercase letters, digits and dashes',
+                required: true,
+                max_length: 20
+              },
+              {
+                name: 'channel',
+                type: ApplicationCommandOptionType.Channel,
+                description: 'channel to post the lobby in',
+                required: true,
+                channel_types: [ChannelType.GuildText]
+              },
+              {
+                name: 'name',
+                type: ApplicationCommandOptionType.String,
+                description: 'display name (defaults to the id)',
+                max_length: 100
+              }
+            ]
+          },
+          {
+            name: 'list',
+            type: ApplicationCommandOptionType.Subcommand,
+            description: 'list the events in this server'
+          }
+        ]
+      }
+    ]
+  };
+}
+
+function buildTeamCommand() {
+  return {
+    name: 'team',
+    description: 'team finder',
+    options: [
+      addEventOption({
+        name: 'status',
+        type: ApplicationCommandOptionType.Subcommand,
+        description: 'show your queue position, estimated wait and team thread'
+      }),
+      {
+        name: 'avoid',
+        type: ApplicationCommandOptionType.SubcommandGroup,
+        description: 'people you would rather not be matched with',
+        options: [
+          {
+            name: 'add',
+            type: ApplicationCommandOptionType.Subcommand,
+            description: 'never match you with this person',
+            options: [
+              {
+                name: 'user',
+                type: ApplicationCommandOptionType.User,
+                description: 'person to avoid',
+                required: true
+              }
+            ]
+          },
+          {
+            name: 'remove',
+            type: ApplicationCommandOptionType.Subcommand,
+            description: 'allow matches with this person again',
+            options: [
+              {
+                name: 'user',
+                type: ApplicationCommandOptionType.User,
+                description: 'person to take off your list',
+                required: true
+              }
+            ]
+          },
+          {
+            name: 'list',
+            type: ApplicationCommandOptionType.Subcommand,
+            description: 'show the people you avoid'
+          }
+        ]
+      }
+    ]
+  };
+}
+
+export async function registerCommands(guild) {
+  try {
+    await guild.commands.set([buildAdminCommand(), buildTeamCommand()]);
+    await logEvent(`slash commands registered in guild ${guild.id}.`, { level: 'debug', type: 'system' });
+  } catch (err) {
+    console.error(`error registering slash commands in guild ${guild.id}:`, err);
+  }
+}
+
+// the event a slash command acts on; replies with the problem and resolves to null when
+// that is ambiguous.
+export async function resolveCommandEvent(interaction) {
+  const eventId = interaction.options.getString('event');
+  if (eventId) {
+    const event = await getEvent(interaction.guildId, eventId);
+    if (!event) {
+      await interaction.reply({ content: `there is no event \`${eventId}\` in this server.`, ephemeral: true });
+    }
+    return event;
+  }
+  const channelEvent = await findEventByChannel(interaction.channelId, interaction.channel?.parentId);
+  if (channelEvent) return channelEvent;
+  const events = await listEvents(interaction.guildId);
+  if (events.length === 1) return events[0];
+  await interaction.reply({
+    content: events.length === 0
+      ? 'this server has no events yet.'
+      : 'this server runs several events; pick one with the `event` option.',
+    ephemeral: true
+  });
+  return null;
+}
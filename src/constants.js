@@ -0,0 +1,105 @@
+export const GUILD_ID = process.env.GUILD_ID;
+export const LOBBY_CHANNEL_ID = process.env.LOBBY_CHANNEL_ID;
+// the force-create command always offers this many member slots; the configured team size caps it
+export const MAX_CONFIGURABLE_TEAM_SIZE = 6;
+export const MATCH_MAX_WAIT_MS = (parseInt(process.env.MATCH_MAX_WAIT_MINUTES, 10) || 15) * 60 * 1000;
+export const MATCH_ACCEPT_MS = (parseInt(process.env.MATCH_ACCEPT_MINUTES, 10) || 5) * 60 * 1000;
+export const USER_LOCK_MS = 15 * 1000;
+export const PROFILE_DRAFT_TTL_SECONDS = 15 * 60;
+export const QUEUE_TRANSACTION_ATTEMPTS = 10;
+export const QUEUE_PAGE_SIZE = 10;
+export const LOBBY_REFRESH_DELAY_MS = 5 * 1000;
+export const QUEUE_SWEEP_INTERVAL_MS = 60 * 1000;
+// a team whose thread can't be created is retried this many times before everyone goes back in the queue
+export const FORMATION_ATTEMPTS = 5;
+export const FORMATION_RETRY_MS = 30 * 1000;
+// how long a process may work on forming a team before another one takes over
+export const FORMATION_LEASE_MS = 2 * 60 * 1000;
+export const MATCH_HISTORY_LENGTH = 50;
+// how many people one user may ask not to be teamed with
+export const MAX_AVOIDED_USERS = 10;
+// counted per event by recordMetric
+export const METRICS = ['joins', 'matches', 'role_switches', 'teams_formed', 'teams_confirmed', 'teams_closed'];
+export const METRICS_BUCKET_MS = 60 * 60 * 1000;
+// how many recent waits the average and median are taken over
+export const METRICS_WAIT_SAMPLES = 500;
+export const STATS_DEFAULT_HOURS = 24;
+export const STATS_MAX_HOURS = 7 * 24;
+export const AUDIT_PAGE_SIZE = 20;
+// filtering /admin audit by type reads a user's entries this many at a time, up to the limit
+export const AUDIT_SCAN_PAGE_SIZE = 100;
+export const AUDIT_SCAN_LIMIT = 1000;
+// audit entry types are `<category>.<what happened>`
+export const AUDIT_CATEGORIES = ['queue', 'match', 'team', 'thread', 'help', 'admin', 'permission'];
+
+export const LANGUAGE_TAGS = ['python', 'c/c++', 'java', 'javascript', 'go', 'rust', 'other'];
+export const EXPERIENCE_LEVELS = ['beginner', 'intermediate', 'advanced'];
+export const TIMEZONE_REGIONS = ['americas', 'europe / africa', 'asia / oceania'];
+
+// Each event gets its own queues, config, lobby message and team registry. The keys below
+// are relative to the event and get prefixed with eventKey(); only the event registry, user
+// locks, the blocklist and pairing preferences are shared by every event.
+// Leaders and members each live in a sorted set of user ids scored by join time, next to a
+// hash of their full entries. Pending and forming matches are hashes keyed by match id.
+export const REDIS_KEY_LEADER_QUEUE = 'queue:leaders';
+export const REDIS_KEY_LEADER_ENTRIES = 'queue:leaderEntries';
+export const REDIS_KEY_MEMBER_QUEUE = 'queue:members';
+export const REDIS_KEY_MEMBER_ENTRIES = 'queue:memberEntries';
+export const REDIS_KEY_PENDING_MATCHES = 'queue:pending';
+export const REDIS_KEY_FORMING_MATCHES = 'queue:forming';
+export const QUEUE_KEYS = [
+  REDIS_KEY_LEADER_QUEUE,
+  REDIS_KEY_LEADER_ENTRIES,
+  REDIS_KEY_MEMBER_QUEUE,
+  REDIS_KEY_MEMBER_ENTRIES,
+  REDIS_KEY_PENDING_MATCHES,
+  REDIS_KEY_FORMING_MATCHES
+];
+// single-key json snapshots written by earlier versions of the bot
+export const LEGACY_KEY_TEAM_LEADERS = 'queue:teamLeaders';
+export const LEGACY_KEY_TEAM_MEMBERS = 'queue:teamMembers';
+export const LEGACY_KEY_PENDING_MATCHES = 'queue:pendingMatches';
+export const REDIS_KEY_PROFILE_DRAFT_PREFIX = 'draft:';
+export const REDIS_KEY_CONFIG = 'config';
+export const REDIS_KEY_LOBBY_MESSAGE = 'lobby:messageId';
+export const REDIS_KEY_TEAM_SEQUENCE = 'teams:sequence';
+export const REDIS_KEY_TEAMS = 'teams:registry';
+export const REDIS_KEY_TEAMS_BY_THREAD = 'teams:byThread';
+export const REDIS_KEY_MENTORS = 'mentors:pool';
+// set once the event's old auto-add role has been moved into its mentor pool
+export const REDIS_KEY_MENTORS_MIGRATED = 'mentors:migrated';
+export const REDIS_KEY_HELP_TICKETS = 'help:tickets';
+// recent matches, newest first, for wait estimates: { at, leaderWaitMs, memberWaitsMs: [ms, ...] }
+export const REDIS_KEY_MATCH_HISTORY = 'matches:history';
+// metric -> running total
+export const REDIS_KEY_METRICS_TOTALS = 'metrics:totals';
+// `<metric>:<start of the hour in ms>` -> count in that hour
+export const REDIS_KEY_METRICS_HOURLY = 'metrics:hourly';
+// waits of recently matched users, newest first: { at, role, waitMs }
+export const REDIS_KEY_METRICS_WAITS = 'metrics:waits';
+// keys used before events existed, moved into the default event on startup
+export const UNSCOPED_KEYS = [
+  ...QUEUE_KEYS,
+  LEGACY_KEY_TEAM_LEADERS,
+  LEGACY_KEY_TEAM_MEMBERS,
+  LEGACY_KEY_PENDING_MATCHES,
+  REDIS_KEY_CONFIG,
+  REDIS_KEY_LOBBY_MESSAGE,
+  REDIS_KEY_TEAM_SEQUENCE,
+  REDIS_KEY_TEAMS,
+  REDIS_KEY_TEAMS_BY_THREAD
+];
+export const REDIS_KEY_USER_LOCK_PREFIX = 'lock:user:';
+export const REDIS_KEY_AUDIT_LOG = 'audit:log';
+export const REDIS_KEY_AUDIT_USER_PREFIX = 'audit:user:';
+// hashes keyed by user id, one per server: `<prefix><guildId>`
+export const REDIS_KEY_BLOCKLIST_PREFIX = 'blocklist:';
+export const REDIS_KEY_AVOID_PREFIX = 'avoid:';
+export const REDIS_KEY_EVENTS = 'events';
+export const REDIS_KEY_EVENTS_BY_CHANNEL = 'events:byChannel';
+export const DEFAULT_EVENT_ID = 'default';
+export const EVENT_ID_PATTERN = /^[a-z0-9-]{1,20}$/;
+export const TEAM_STATUSES = ['forming', 'confirmed', 'closed'];
+export const HELP_STATUSES = ['open', 'claimed', 'resolved'];
+// where a formed team talks: a thread in the lobby, or private channels of its own
+export const TEAM_SPACES = ['public_thread', 'private_thread', 'channel', 'channel_and_voice'];
@@ -0,0 +1,101 @@
+import { clients } from './clients.js';
+import {
+  GUILD_ID,
+  LOBBY_CHANNEL_ID,
+  REDIS_KEY_LOBBY_MESSAGE,
+  UNSCOPED_KEYS,
+  REDIS_KEY_EVENTS,
+  REDIS_KEY_EVENTS_BY_CHANNEL,
+  DEFAULT_EVENT_ID
+} from './constants.js';
+import { logEvent } from './log.js';
+
+// Events, as stored in the registry hash under `<guildId>:<eventId>`:
+// { guildId, eventId, name, lobbyChannelId, createdAt }
+export function eventRef(event) {
+  return `${event.guildId}:${event.eventId}`;
+}
+
+export function eventKey(event, key) {
+  return `guild:${event.guildId}:event:${event.eventId}:${key}`;
+}
+
+export async function getEvent(guildId, eventId) {
+  const eventData = await clients.redis.hGet(REDIS_KEY_EVENTS, `${guildId}:${eventId}`);
+  return eventData ? JSON.parse(eventData) : null;
+}
+
+// every event, or only a guild's events, oldest first.
+export async function listEvents(guildId = null) {
+  const eventsData = await clients.redis.hVals(REDIS_KEY_EVENTS);
+  return eventsData
+    .map(data => JSON.parse(data))
+    .filter(event => !guildId || event.guildId === guildId)
+    .sort((a, b) => a.createdAt - b.createdAt);
+}
+
+// finds the event whose lobby or team channel this is, or the parent channel of a team thread.
+export async function findEventByChannel(channelId, parentId = null) {
+  for (const id of [channelId, parentId]) {
+    if (!id) continue;
+    const ref = await clients.redis.hGet(REDIS_KEY_EVENTS_BY_CHANNEL, id);
+    if (!ref) continue;
+    const eventData = await clients.redis.hGet(REDIS_KEY_EVENTS, ref);
+    if (eventData) return JSON.parse(eventData);
+  }
+  return null;
+}
+
+// a moved lobby keeps its old channel mapped to the event so team threads created there
+// still resolve; setting up another event in that channel takes the mapping over.
+export async function saveEvent(event) {
+  const previous = await getEvent(event.guildId, event.eventId);
+  const multi = clients.redis.multi();
+  if (previous && previous.lobbyChannelId !== event.lobbyChannelId) {
+    // the old lobby message lives in the old channel; post a fresh one
+    multi.del(eventKey(event, REDIS_KEY_LOBBY_MESSAGE));
+  }
+  multi.hSet(REDIS_KEY_EVENTS, eventRef(event), JSON.stringify(event));
+  multi.hSet(REDIS_KEY_EVENTS_BY_CHANNEL, event.lobbyChannelId, eventRef(event));
+  await multi.exec();
+}
+
+// team channels live outside the lobby, so they are mapped to their event the same way.
+export async function mapTeamChannel(event, channelId) {
+  await clients.redis.hSet(REDIS_KEY_EVENTS_BY_CHANNEL, channelId, eventRef(event));
+}
+
+export async function unmapTeamChannel(channelId) {
+  await clients.redis.hDel(REDIS_KEY_EVENTS_BY_CHANNEL, channelId);
+}
+
+// keys written before events existed belong to the event configured through guild_id and
+// lobby_channel_id; move them under that event's prefix unless it already has its own.
+export async function migrateUnscopedKeys(event) {
+  let moved = 0;
+  for (const key of UNSCOPED_KEYS) {
+    if (await clients.redis.renameNX(key, eventKey(event, key)).catch(() => false)) moved++;
+  }
+  if (moved > 0) {
+    await logEvent(`moved ${moved} pre-event redis key(s) into ${eventRef(event)}.`, { type: 'system', event });
+  }
+}
+
+// keeps the default event in line with guild_id and lobby_channel_id, if they are set.
+export async function ensureDefaultEvent() {
+  if (!GUILD_ID || !LOBBY_CHANNEL_ID) return null;
+  const existing = await getEvent(GUILD_ID, DEFAULT_EVENT_ID);
+  if (existing?.lobbyChannelId === LOBBY_CHANNEL_ID) return existing;
+  const event = existing
+    ? { ...existing, lobbyChannelId: LOBBY_CHANNEL_ID }
+    : {
+        guildId: GUILD_ID,
+        eventId: DEFAULT_EVENT_ID,
+        name: DEFAULT_EVENT_ID,
+        lobbyChannelId: LOBBY_CHANNEL_ID,
+        createdAt: Date.now()
+      };
+  await saveEvent(event);
+  await logEvent(`default event ${eventRef(event)} uses lobby channel ${LOBBY_CHANNEL_ID}.`, { type: 'event.setup', event });
+  return event;
+}
@@ -0,0 +1,1185 @@
+import {
+  ButtonBuilder,
+  ActionRowBuilder,
+  ButtonStyle,
+  EmbedBuilder,
+  SelectMenuBuilder,
+  UserSelectMenuBuilder
+} from 'discord.js';
+import { clients } from './clients.js';
+import { LANGUAGE_TAGS, EXPERIENCE_LEVELS, TIMEZONE_REGIONS, REDIS_KEY_MATCH_HISTORY, MAX_AVOIDED_USERS } from './constants.js';
+import { logEvent } from './log.js';
+import { isStopping } from './lifecycle.js';
+import { hasPermission, requirePermission } from './permissions.js';
+import { eventRef, eventKey, getEvent, findEventByChannel } from './events.js';
+import {
+  readQueues,
+  withQueues,
+  acquireUserLock,
+  releaseUserLock,
+  getDraft,
+  saveDraft,
+  deleteDraft,
+  findTeammateLeader,
+  findPendingMatch,
+  findFormingMatch,
+  removeFromQueues,
+  isInQueues,
+  teammateConflict,
+  emptyTags,
+  findCrewLeader,
+  releaseCrew,
+  returnMatchToQueues,
+  teammatesOf
+} from './store.js';
+import { getConfig } from './settings.js';
+import { getTeamByThread, listTeams, loadRosters, setTeamStatus } from './teams.js';
+import { getMemberNames } from './members.js';
+import { getBlock, getAvoidedUsers, setAvoidedUsers } from './blocklist.js';
+import { recordMetric } from './metrics.js';
+import { tryMatching, estimateWaitMs, matchParticipants, clearMatchTimer, notifyMatchCancelled } from './matcher.js';
+import { formTeam, removeTeamMember, stopReplacementSearch, closeTeamSpace, addMentorToTeam } from './threads.js';
+import { listMentors, openHelpTicket, updateHelpTicket, resolveTeamTickets } from './mentors.js';
+import { resolveCommandEvent } from './commands.js';
+import { handleAdminCommand, formatDuration, buildQueueListPage } from './admin.js';
+
+async function handleReminderResponse(interaction, event) {
+  if (!interaction.isButton()) return;
+  const [action] = interaction.customId.split(':');
+  const userId = interaction.user.id;
+  if (action === 'queue_stay') {
+    const stayed = await withQueues(event, state => {
+      const entry = [...state.leaders, ...state.members].find(other => other.userId === userId);
+      if (!entry) return false;
+      entry.lastActiveAt = Date.now();
+      entry.remindedAt = null;
+      return true;
+    });
+    if (!stayed) {
+      await interaction.update({ content: 'you are no longer waiting in this queue.', embeds: [], components: [] });
+      return;
+    }
+    await logEvent(`user ${userId} confirmed they are still waiting in ${eventRef(event)}.`, { type: 'queue.stay', actorId: userId, event });
+    await interaction.update({ content: 'thanks! you keep your spot in the queue.', embeds: [], components: [] });
+    return;
+  }
+  const outcome = await withQueues(event, state => removeFromQueues(state, userId));
+  if (outcome.status === 'none') {
+    await interaction.update({ content: 'you are no longer waiting in this queue.', embeds: [], components: [] });
+    return;
+  }
+  if (outcome.status === 'pending') {
+    await notifyMatchCancelled(event, outcome.match, [userId]);
+  }
+  await logEvent(`user ${userId} left ${eventRef(event)} from a queue reminder (was ${outcome.status}).`, {
+    type: 'queue.leave',
+    actorId: userId,
+    event,
+    payload: { was: outcome.status }
+  });
+  await interaction.update({ content: 'you have been removed from the queue. you can rejoin from the lobby at any time.', embeds: [], components: [] });
+  await tryMatching(event);
+}
+
+async function handleMatchResponse(interaction, event) {
+  if (!interaction.isButton()) return;
+  const [action, , , matchId] = interaction.customId.split(':');
+  const userId = interaction.user.id;
+  const outcome = await withQueues(event, state => {
+    const match = state.pendingMatches.find(other => other.id === matchId);
+    if (!match) return { status: 'missing' };
+    if (!matchParticipants(match).includes(userId)) return { status: 'stranger' };
+    if (action === 'match_decline') {
+      returnMatchToQueues(state, match, [userId]);
+      return { status: 'declined', match };
+    }
+    match.responses[userId] = 'accepted';
+    const waitingOn = matchParticipants(match).filter(id => match.responses[id] !== 'accepted');
+    if (waitingOn.length > 0) return { status: 'waiting', waitingOn };
+    state.pendingMatches = state.pendingMatches.filter(other => other.id !== match.id);
+    // journaled until the thread is ready, so a crash or failure on the way never loses the team
+    state.formingMatches.push({ ...match, completedAt: Date.now(), attempts: 0, leaseUntil: 0 });
+    return { status: 'complete', match };
+  });
+  if (outcome.status === 'missing') {
+    await interaction.update({ content: 'this match is no longer pending.', embeds: [], components: [] });
+    return;
+  }
+  if (outcome.status === 'stranger') {
+    await interaction.reply({ content: 'this match prompt is not for you.', ephemeral: true });
+    return;
+  }
+  if (outcome.status === 'declined') {
+    const content = outcome.match.leader.threadId && outcome.match.leader.userId === userId
+      ? 'you declined the match. your team will keep looking for a replacement.'
+      : 'you declined the match and have been removed from the queue.';
+    await interaction.update({ content, embeds: [], components: [] });
+    await logEvent(`user ${userId} declined match ${matchId}.`, { type: 'match.declined', actorId: userId, event, payload: { matchId } });
+    await notifyMatchCancelled(event, outcome.match, [userId]);
+    await tryMatching(event);
+    return;
+  }
+  await logEvent(`user ${userId} accepted match ${matchId}.`, { type: 'match.accepted', actorId: userId, event, payload: { matchId } });
+  if (outcome.status === 'waiting') {
+    await interaction.update({
+      content: `you accepted! waiting on ${outcome.waitingOn.length} more teammate(s) to accept.`,
+      embeds: [],
+      components: []
+    });
+    return;
+  }
+  clearMatchTimer(matchId);
+  const content = outcome.match.leader.threadId
+    ? 'everyone accepted! you are being added to the team thread.'
+    : 'everyone accepted! your team thread is being created.';
+  await interaction.update({ content, embeds: [], components: [] });
+  await logEvent(`match ${matchId} accepted by everyone; setting up the team thread for team leader ${outcome.match.leader.userId}.`, {
+    type: 'match.completed',
+    userId: outcome.match.leader.userId,
+    event,
+    payload: { matchId }
+  });
+  await formTeam(event, matchId);
+}
+
+// resolves to the team whose thread or channel the interaction came from, replying and resolving to null otherwise.
+async function getInteractionTeam(interaction, event) {
+  const channel = interaction.channel;
+  const team = channel ? await getTeamByThread(event, channel.id) : null;
+  if (!team) {
+    await interaction.reply({ content: 'this can only be used inside a team thread or channel.', ephemeral: true });
+  }
+  return team;
+}
+
+function isOnTeam(team, userId) {
+  return team.leaderId === userId || team.memberIds.includes(userId);
+}
+
+async function handleLeaveTeam(interaction, event) {
+  const team = await getInteractionTeam(interaction, event);
+  if (!team) return;
+  const userId = interaction.user.id;
+  if (team.leaderId === userId) {
+    await interaction.reply({ content: 'you lead this team. remove members with **remove member**, or use **close thread** to disband it.', ephemeral: true });
+    return;
+  }
+  if (!team.memberIds.includes(userId)) {
+    await interaction.reply({ content: 'you are not on this team.', ephemeral: true });
+    return;
+  }
+  await interaction.reply({ content: 'you have left the team.', ephemeral: true });
+  await removeTeamMember(event, team, interaction.channel, userId, userId);
+}
+
+async function handleKickMember(interaction, event) {
+  const team = await getInteractionTeam(interaction, event);
+  if (!team) return;
+  // team leaders may manage their own roster; anyone else needs the manage permission
+  if (team.leaderId !== interaction.user.id && !(await requirePermission(interaction, 'manage'))) return;
+  if (team.memberIds.length === 0) {
+    await interaction.reply({ content: 'there is nobody on this team to remove.', ephemeral: true });
+    return;
+  }
+  const names = await getMemberNames(event.guildId, team.memberIds);
+  const selectMenu = new SelectMenuBuilder()
+    .setCustomId('kick_member_select')
+    .setPlaceholder('member to remove')
+    .addOptions(team.memberIds.map((id, index) => ({ label: names[index], value: id })));
+  const row = new ActionRowBuilder().addComponents(selectMenu);
+  await interaction.reply({ content: 'who should be removed from the team?', components: [row], ephemeral: true });
+}
+
+async function handleKickSelect(interaction, event) {
+  const team = await getInteractionTeam(interaction, event);
+  if (!team) return;
+  if (team.leaderId !== interaction.user.id && !(await requirePermission(interaction, 'manage'))) return;
+  const userId = interaction.values[0];
+  if (!team.memberIds.includes(userId)) {
+    await interaction.update({ content: 'they are no longer on this team.', components: [] });
+    return;
+  }
+  await interaction.update({ content: `removed <@${userId}> from the team.`, components: [] });
+  await removeTeamMember(event, team, interaction.channel, userId, interaction.user.id);
+}
+
+// the help ticket message posted in a team's thread, with the buttons its current status allows.
+function buildHelpTicketMessage(event, ticket) {
+  const statusText = {
+    open: ticket.mentorId
+      ? `<@${ticket.mentorId}>, could you take a look?`
+      : 'no mentor is available right now; an organizer will pick this up.',
+    claimed: `<@${ticket.claimedBy}> is on it.`,
+    resolved: `resolved by <@${ticket.resolvedBy}>.`
+  }[ticket.status];
+  const buttons = [];
+  if (ticket.status === 'open') {
+    buttons.push(
+      new ButtonBuilder()
+        .setCustomId(`help_claim:${event.guildId}:${event.eventId}:${ticket.id}`)
+        .setLabel('claim')
+        .setStyle(ButtonStyle.Primary)
+    );
+  }
+  if (ticket.status !== 'resolved') {
+    buttons.push(
+      new ButtonBuilder()
+        .setCustomId(`help_resolve:${event.guildId}:${event.eventId}:${ticket.id}`)
+        .setLabel('mark resolved')
+        .setStyle(ButtonStyle.Success)
+    );
+  }
+  return {
+    content: `**${ticket.id}** · <@${ticket.requesterId}> asked for help. ${statusText}`,
+    components: buttons.length > 0 ? [new ActionRowBuilder().addComponents(...buttons)] : []
+  };
+}
+
+async function handleRequestHelp(interaction, event) {
+  const team = await getInteractionTeam(interaction, event);
+  if (!team) return;
+  const userId = interaction.user.id;
+  if (!isOnTeam(team, userId)) {
+    await interaction.reply({ content: 'only members of this team can ask for help.', ephemeral: true });
+    return;
+  }
+  const ticket = await openHelpTicket(event, team, userId);
+  if (!ticket) {
+    await interaction.reply({ content: 'your team already has an open help request.', ephemeral: true });
+    return;
+  }
+  // a mentor from outside the team has to be let in before the ping reaches them
+  if (ticket.mentorId && !team.mentorIds?.includes(ticket.mentorId)) {
+    try {
+      await addMentorToTeam(event, team, interaction.channel, ticket.mentorId);
+    } catch (err) {
+      await logEvent(`could not add mentor ${ticket.mentorId} to ${team.id}: ${err.message}`, {
+        level: 'warn',
+        type: 'thread.member',
+        userId: ticket.mentorId,
+        event
+      });
+    }
+  }
+  await interaction.reply({ ...buildHelpTicketMessage(event, ticket), ephemeral: false });
+  await logEvent(`user ${userId} opened ${ticket.id} for ${team.id} in ${eventRef(event)}; pinged ${ticket.mentorId ?? 'nobody'}.`, {
+    type: 'help.requested',
+    actorId: userId,
+    userId: ticket.mentorId,
+    event,
+    payload: { ticketId: ticket.id, teamId: team.id, mentorId: ticket.mentorId }
+  });
+}
+
+// claim and resolve buttons on a help ticket. mentors in the pool and organizers may claim; the
+// team and whoever claimed it may resolve it too.
+async function handleHelpTicketUpdate(interaction, event) {
+  const [action, , , ticketId] = interaction.customId.split(':');
+  const status = action === 'help_claim' ? 'claimed' : 'resolved';
+  const userId = interaction.user.id;
+  const mentors = await listMentors(event);
+  const isMentor = mentors.some(mentor => mentor.userId === userId) || hasPermission(interaction, 'manage');
+  if (!isMentor) {
+    const team = status === 'resolved' && interaction.channel ? await getTeamByThread(event, interaction.channel.id) : null;
+    if (!team || !isOnTeam(team, userId)) {
+      await interaction.reply({
+        content: status === 'claimed' ? 'only mentors can claim help requests.' : 'only this team or its mentor can resolve this help request.',
+        ephemeral: true
+      });
+      return;
+    }
+  }
+  const { ticket, error } = await updateHelpTicket(event, ticketId, status, userId);
+  if (error) {
+    await interaction.reply({ content: error, ephemeral: true });
+    return;
+  }
+  await interaction.update(buildHelpTicketMessage(event, ticket));
+  await logEvent(`user ${userId} ${status} ${ticket.id} for ${ticket.teamId} in ${eventRef(event)}.`, {
+    type: `help.${status}`,
+    actorId: userId,
+    userId: ticket.requesterId,
+    event,
+    payload: { ticketId: ticket.id, teamId: ticket.teamId }
+  });
+}
+
+// entry point for every interaction; components are handled one at a time per user.
+export async function handleInteractionCreate(interaction) {
+  if (isStopping()) {
+    if (!interaction.isRepliable()) return;
+    await interaction.reply({ content: 'the bot is restarting, please try again in a moment.', ephemeral: true }).catch(() => {});
+    return;
+  }
+  let lockToken = null;
+  try {
+    if (interaction.isMessageComponent()) {
+      lockToken = await acquireUserLock(interaction.user.id);
+      if (!lockToken) {
+        await interaction.reply({ content: 'still working on your last request, please try again in a moment.', ephemeral: true });
+        return;
+      }
+    }
+    await handleInteraction(interaction);
+  } catch (err) {
+    await logEvent(`error handling interaction ${interaction.customId ?? interaction.commandName}: ${err.message}`, {
+      level: 'error',
+      type: 'interaction',
+      actorId: interaction.user.id,
+      guildId: interaction.guildId
+    });
+    if (interaction.isRepliable() && !interaction.replied && !interaction.deferred) {
+      await interaction.reply({ content: 'something went wrong, please try again.', ephemeral: true }).catch(() => {});
+    }
+  } finally {
+    if (lockToken) {
+      await releaseUserLock(interaction.user.id, lockToken).catch(err => console.error('error releasing user lock:', err));
+    }
+  }
+}
+
+export async function handleInteraction(interaction) {
+  if (interaction.isCommand() && interaction.commandName === 'admin') {
+    await handleAdminCommand(interaction);
+    return;
+  }
+  if (interaction.isCommand() && interaction.commandName === 'team') {
+    if (interaction.options.getSubcommandGroup(false) === 'avoid') {
+      await handleAvoidCommand(interaction);
+      return;
+    }
+    const event = await resolveCommandEvent(interaction);
+    if (event) await showTeamStatus(interaction, event);
+    return;
+  }
+  if (!interaction.isMessageComponent()) return;
+  const event = await findComponentEvent(interaction);
+  if (!event) {
+    await interaction.reply({ content: 'this panel does not belong to an active event anymore.', ephemeral: true });
+    return;
+  }
+  if (interaction.isButton()) {
+    if (interaction.customId === 'looking_for_team') {
+      await handleLookingForTeam(interaction, event);
+    } else if (interaction.customId === 'team_status') {
+      await showTeamStatus(interaction, event);
+    } else if (interaction.customId === 'looking_for_members_start') {
+      await handleLookingForMembersStart(interaction, event);
+    } else if (interaction.customId === 'leave_queue') {
+      await handleLeaveQueue(interaction, event);
+    } else if (interaction.customId === 'disband_team') {
+      await handleDisbandTeam(interaction, event);
+    } else if (interaction.customId === 'submit_profile') {
+      await handleProfileSubmit(interaction, event);
+    } else if (interaction.customId === 'cancel_profile') {
+      await deleteDraft(event, interaction.user.id);
+      const embed = new EmbedBuilder()
+        .setTitle('setup cancelled')
+        .setDescription('you have not been added to any queue.')
+        .setColor(0x2e2f33)
+        .setTimestamp(new Date());
+      await interaction.update({ embeds: [embed], components: [] });
+    } else if (interaction.customId.startsWith('match_accept:') || interaction.customId.startsWith('match_decline:')) {
+      await handleMatchResponse(interaction, event);
+    } else if (interaction.customId.startsWith('queue_stay:') || interaction.customId.startsWith('queue_leave:')) {
+      await handleReminderResponse(interaction, event);
+    } else if (interaction.customId === 'confirm_team') {
+      await handleConfirmTeam(interaction, event);
+    } else if (interaction.customId === 'leave_team') {
+      await handleLeaveTeam(interaction, event);
+    } else if (interaction.customId === 'kick_member') {
+      await handleKickMember(interaction, event);
+    } else if (interaction.customId === 'request_help') {
+      await handleRequestHelp(interaction, event);
+    } else if (interaction.customId.startsWith('help_claim:') || interaction.customId.startsWith('help_resolve:')) {
+      await handleHelpTicketUpdate(interaction, event);
+    }
+    else if (interaction.customId === 'close_thread') {
+      try {
+        const thread = interaction.channel;
+        const team = thread ? await getTeamByThread(event, thread.id) : null;
+        if (thread && (thread.isThread() || team)) {
+          // team leaders may close their own thread; anyone else needs the close permission
+          if (team?.leaderId !== interaction.user.id && !(await requirePermission(interaction, 'close'))) {
+            return;
+          }
+          await setTeamStatus(event, thread.id, 'closed');
+          await stopReplacementSearch(event, thread.id);
+          if (team) {
+            await resolveTeamTickets(event, team, interaction.user.id);
+          }
+          // replied to first, since a team channel is deleted along with the interaction's channel
+          await interaction.reply({ content: thread.isThread() ? 'thread closed.' : 'team closed; its channels are being deleted.', ephemeral: true });
+          await closeTeamSpace(event, team, thread, 'closed via panel');
+          await logEvent(`thread ${thread.id} closed via panel by ${interaction.user.id}`, {
+            type: 'thread.closed',
+            actorId: interaction.user.id,
+            userId: team?.leaderId,
+            event,
+            payload: { threadId: thread.id }
+          });
+        } else {
+          await interaction.reply({ content: 'this can only be used inside a team thread or channel.', ephemeral: true });
+        }
+      } catch (err) {
+        await interaction.reply({ content: 'error closing thread.', ephemeral: true });
+        await logEvent(`error closing thread: ${err.message}`, { level: 'error', type: 'thread.closed', event });
+      }
+    }
+    else if (interaction.customId === 'switch_to_team') {
+      const userId = interaction.user.id;
+      const released = await withQueues(event, state => {
+        const leaderEntry = state.leaders.find(entry => entry.userId === userId);
+        const released = leaderEntry ? releaseCrew(state, leaderEntry) : [];
+        state.leaders = state.leaders.filter(entry => entry.userId !== userId);
+        if (!state.members.some(entry => entry.userId === userId)) {
+          state.members.push({ userId, timestamp: Date.now(), tags: leaderEntry?.tags ?? emptyTags() });
+        }
+        return released;
+      });
+      if (released.length > 0) {
+        await logEvent(`returned ${released.length} crew member(s) of ${userId} to the team member queue.`, {
+          type: 'queue.released',
+          userId,
+          event,
+          payload: { released: released.map(member => member.userId) }
+        });
+      }
+      await logEvent(`user ${userId} switched from team leader to team member.`, { type: 'queue.switch', actorId: userId, event });
+      await recordMetric(event, 'role_switches');
+      const embed = new EmbedBuilder()
+        .setTitle('allegiance switched')
+        .setDescription('you have left your leader role and joined as a team member.')
+        .setColor(0x2e2f33)
+        .setTimestamp(new Date());
+      await interaction.update({ embeds: [embed], components: [] });
+      await tryMatching(event);
+    } else if (interaction.customId === 'switch_to_leader') {
+      const memberEntry = await withQueues(event, state => {
+        const entry = state.members.find(other => other.userId === interaction.user.id);
+        state.members = state.members.filter(other => other.userId !== interaction.user.id);
+        return entry;
+      });
+      if (memberEntry) {
+        await recordMetric(event, 'role_switches');
+        await saveDraft(event, interaction.user.id, {
+          role: 'leader',
+          additionalNeeded: 0,
+          teammates: [],
+          tags: memberEntry.tags ?? emptyTags()
+        });
+      }
+      const selectMenu = buildMemberCountMenu(await getConfig(event), 'select how many team members you need');
+      const row = new ActionRowBuilder().addComponents(selectMenu);
+      const embed = new EmbedBuilder()
+        .setTitle('team leader setup')
+        .setDescription('you have switched to leader role. select how many team members you need.')
+        .setColor(0x2e2f33)
+        .setTimestamp(new Date());
+      await interaction.update({ embeds: [embed], components: [row] });
+    } else if (interaction.customId === 'cancel_switch') {
+      const embed = new EmbedBuilder()
+        .setTitle('switch cancelled')
+        .setDescription('your allegiance remains unchanged.')
+        .setColor(0x2e2f33)
+        .setTimestamp(new Date());
+      await interaction.update({ embeds: [embed], components: [] });
+    } else if (interaction.customId === 'cancel_leave') {
+      const embed = new EmbedBuilder()
+        .setTitle('leave cancelled')
+        .setDescription('you are still in the queue.')
+        .setColor(0x2e2f33)
+        .setTimestamp(new Date());
+      await interaction.update({ embeds: [embed], components: [] });
+    } else if (interaction.customId.startsWith('admin_list_page:')) {
+      if (!(await requirePermission(interaction, 'view'))) return;
+      const page = parseInt(interaction.customId.split(':')[3], 10) || 1;
+      await interaction.update(await buildQueueListPage(event, page));
+    } else if (interaction.customId === 'update_recruitment') {
+      const selectMenu = buildMemberCountMenu(await getConfig(event), 'select updated number of team members you need');
+      const row = new ActionRowBuilder().addComponents(selectMenu);
+      const embed = new EmbedBuilder()
+        .setTitle('update team leader recruitment')
+        .setDescription('select the updated number of team members you need.')
+        .setColor(0x2e2f33)
+        .setTimestamp(new Date());
+      await interaction.update({ embeds: [embed], components: [row] });
+    }
+  } else if (interaction.isSelectMenu()) {
+    if (interaction.customId === 'select_member_count') {
+      await handleMemberCountSelect(interaction, event);
+    } else if (interaction.customId === 'kick_member_select') {
+      await handleKickSelect(interaction, event);
+    } else if (interaction.customId.startsWith('profile_')) {
+      await handleProfileSelect(interaction, event);
+    }
+  } else if (interaction.isUserSelectMenu()) {
+    if (interaction.customId === 'profile_teammates') {
+      await handleTeammateSelect(interaction, event);
+    }
+  }
+}
+
+// components shown outside an event's channels (match prompts in dms, admin lists) carry
+// `<action>:<guildId>:<eventId>:...` as their custom id; the rest belong to the event whose
+// lobby, or team thread or channel, they were used in.
+async function findComponentEvent(interaction) {
+  const [, guildId, eventId] = interaction.customId.split(':');
+  if (guildId && eventId) return getEvent(guildId, eventId);
+  return findEventByChannel(interaction.channelId, interaction.channel?.parentId);
+}
+
+// blocked users get an explanation instead of a profile setup.
+async function replyIfBlocked(interaction, event) {
+  if (!(await getBlock(event.guildId, interaction.user.id))) return false;
+  const embed = new EmbedBuilder()
+    .setTitle('cannot join')
+    .setDescription('an organizer has blocked you from joining the queues. reach out to them if you think this is a mistake.')
+    .setColor(0xffa500)
+    .setTimestamp(new Date());
+  await interaction.reply({ embeds: [embed], ephemeral: true });
+  return true;
+}
+
+async function handleLookingForTeam(interaction, event) {
+  if (!interaction.isButton()) return;
+  if (await replyIfBlocked(interaction, event)) return;
+  const state = await readQueues(clients.redis, event);
+  const leaderEntry = state.leaders.find(entry => entry.userId === interaction.user.id);
+  if (leaderEntry) {
+    const embed = new EmbedBuilder()
+      .setTitle('switch allegiance?')
+      .setDescription(
+        `you are currently a team leader needing **${leaderEntry.additionalNeeded}** more team member(s). if you join as a team member, you will leave your leader role. proceed?`
+      )
+      .setColor(0xffa500)
+      .setTimestamp(new Date());
+    const switchButton = new ButtonBuilder()
+      .setCustomId('switch_to_team')
+      .setLabel('join as team member')
+      .setStyle(ButtonStyle.Danger);
+    const cancelButton = new ButtonBuilder()
+      .setCustomId('cancel_switch')
+      .setLabel('stay leader')
+      .setStyle(ButtonStyle.Secondary);
+    const row = new ActionRowBuilder().addComponents(switchButton, cancelButton);
+    await interaction.reply({ embeds: [embed], components: [row], ephemeral: true });
+    return;
+  }
+  const memberEntry = state.members.find(entry => entry.userId === interaction.user.id);
+  if (memberEntry) {
+    const embed = new EmbedBuilder()
+      .setTitle('already registered')
+      .setDescription('you are already registered as a team member.')
+      .setColor(0x2e2f33)
+      .setTimestamp(new Date());
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+    return;
+  }
+  if (await replyIfOnTeam(interaction, state)) return;
+  const draft = { role: 'member', additionalNeeded: 0, teammates: [], tags: emptyTags() };
+  await saveDraft(event, interaction.user.id, draft);
+  await interaction.reply({ ...buildProfilePrompt(draft, await getConfig(event)), ephemeral: true });
+}
+
+// people recruited into or named on someone else's team can't queue on their own.
+async function replyIfOnTeam(interaction, state) {
+  const userId = interaction.user.id;
+  const crewLeader = findCrewLeader(state, userId);
+  const teammateLeader = findTeammateLeader(state, userId);
+  const pendingMatch = findPendingMatch(state, userId);
+  const formingMatch = findFormingMatch(state, userId);
+  if (!crewLeader && !teammateLeader && !pendingMatch && !formingMatch) return false;
+  let description;
+  if (formingMatch) {
+    description = 'your team thread is being set up and will show up shortly.';
+  } else if (pendingMatch) {
+    description = 'you have a team match waiting for everyone to accept. check your dms for the prompt.';
+  } else if (crewLeader) {
+    description = 'you have been recruited to a team that is still filling up. use **leave queue** if you want out.';
+  } else {
+    description = `you were added to <@${teammateLeader.userId}>'s team as a teammate. use **leave queue** if you want out.`;
+  }
+  const embed = new EmbedBuilder()
+    .setTitle('already on a team')
+    .setDescription(description)
+    .setColor(0x2e2f33)
+    .setTimestamp(new Date());
+  await interaction.reply({ embeds: [embed], ephemeral: true });
+  return true;
+}
+
+function buildMemberCountMenu(config, placeholder) {
+  return new SelectMenuBuilder()
+    .setCustomId('select_member_count')
+    .setPlaceholder(placeholder)
+    .addOptions(
+      config.neededOptions.map(needed => ({
+        label: `${needed} team member${needed === 1 ? '' : 's'} (${config.maxTeamSize} total)`,
+        description: `need ${needed} more (already have ${config.maxTeamSize - needed})`,
+        value: String(needed)
+      }))
+    );
+}
+
+function buildProfilePrompt(draft, config) {
+  const languageMenu = new SelectMenuBuilder()
+    .setCustomId('profile_languages')
+    .setPlaceholder('languages you are comfortable with')
+    .setMinValues(0)
+    .setMaxValues(LANGUAGE_TAGS.length)
+    .addOptions(LANGUAGE_TAGS.map(tag => ({ label: tag, value: tag, default: draft.tags.languages.includes(tag) })));
+  const experienceMenu = new SelectMenuBuilder()
+    .setCustomId('profile_experience')
+    .setPlaceholder('experience level')
+    .addOptions(EXPERIENCE_LEVELS.map(level => ({ label: level, value: level, default: draft.tags.experience === level })));
+  const timezoneMenu = new SelectMenuBuilder()
+    .setCustomId('profile_timezone')
+    .setPlaceholder('timezone')
+    .addOptions(TIMEZONE_REGIONS.map(region => ({ label: region, value: region, default: draft.tags.timezone === region })));
+  const submitButton = new ButtonBuilder()
+    .setCustomId('submit_profile')
+    .setLabel(draft.role === 'leader' ? 'start recruiting' : 'join queue')
+    .setStyle(ButtonStyle.Success);
+  const cancelButton = new ButtonBuilder()
+    .setCustomId('cancel_profile')
+    .setLabel('cancel')
+    .setStyle(ButtonStyle.Secondary);
+  let description = 'tell us a bit about yourself so we can put together a balanced team. every field is optional.';
+  const components = [
+    new ActionRowBuilder().addComponents(languageMenu),
+    new ActionRowBuilder().addComponents(experienceMenu),
+    new ActionRowBuilder().addComponents(timezoneMenu)
+  ];
+  if (draft.role === 'leader') {
+    const maxTeammates = Math.max(0, config.maxTeamSize - 1 - draft.additionalNeeded);
+    description += `\n\nalready have teammates? pick up to **${maxTeammates}** of them below so they end up in your team thread.`;
+    if (maxTeammates > 0) {
+      const teammateMenu = new UserSelectMenuBuilder()
+        .setCustomId('profile_teammates')
+        .setPlaceholder('teammates you already have')
+        .setMinValues(0)
+        .setMaxValues(maxTeammates);
+      if (draft.teammates.length > 0) {
+        teammateMenu.setDefaultUsers(draft.teammates);
+      }
+      components.push(new ActionRowBuilder().addComponents(teammateMenu));
+    }
+  }
+  if (draft.notice) {
+    description += `\n\n**note:** ${draft.notice}`;
+  }
+  components.push(new ActionRowBuilder().addComponents(submitButton, cancelButton));
+  const embed = new EmbedBuilder()
+    .setTitle(draft.role === 'leader' ? 'leader profile' : 'member profile')
+    .setDescription(description)
+    .setColor(0x2e2f33)
+    .setTimestamp(new Date());
+  return { content: '', embeds: [embed], components };
+}
+
+async function handleProfileSelect(interaction, event) {
+  if (!interaction.isSelectMenu()) return;
+  const draft = await getDraft(event, interaction.user.id);
+  if (!draft) {
+    await interaction.reply({ content: 'this setup has expired. please start again from the lobby.', ephemeral: true });
+    return;
+  }
+  if (interaction.customId === 'profile_languages') {
+    draft.tags.languages = interaction.values;
+  } else if (interaction.customId === 'profile_experience') {
+    draft.tags.experience = interaction.values[0] ?? null;
+  } else if (interaction.customId === 'profile_timezone') {
+    draft.tags.timezone = interaction.values[0] ?? null;
+  }
+  draft.notice = null;
+  await saveDraft(event, interaction.user.id, draft);
+  await interaction.update(buildProfilePrompt(draft, await getConfig(event)));
+}
+
+async function handleTeammateSelect(interaction, event) {
+  if (!interaction.isUserSelectMenu()) return;
+  const draft = await getDraft(event, interaction.user.id);
+  if (!draft || draft.role !== 'leader') {
+    await interaction.reply({ content: 'this setup has expired. please start again from the lobby.', ephemeral: true });
+    return;
+  }
+  const state = await readQueues(clients.redis, event);
+  const accepted = [];
+  const rejected = [];
+  for (const user of interaction.users.values()) {
+    let conflict = user.bot ? 'is a bot' : teammateConflict(state, user.id, interaction.user.id);
+    if (!conflict && (await getBlock(event.guildId, user.id))) {
+      conflict = 'cannot join the queues';
+    }
+    if (conflict) {
+      rejected.push(user.id === interaction.user.id ? conflict : `<@${user.id}> ${conflict}`);
+    } else {
+      accepted.push(user.id);
+    }
+  }
+  draft.teammates = accepted;
+  draft.notice = rejected.length > 0 ? `${rejected.join('; ')}.` : null;
+  await saveDraft(event, interaction.user.id, draft);
+  await interaction.update(buildProfilePrompt(draft, await getConfig(event)));
+}
+
+async function handleProfileSubmit(interaction, event) {
+  if (!interaction.isButton()) return;
+  const userId = interaction.user.id;
+  const draft = await getDraft(event, userId);
+  if (!draft) {
+    await interaction.update({ content: 'this setup has expired. please start again from the lobby.', embeds: [], components: [] });
+    return;
+  }
+  // the block may have come in while they were filling in their profile
+  if (await getBlock(event.guildId, userId)) {
+    await deleteDraft(event, userId);
+    await interaction.update({ content: 'an organizer has blocked you from joining the queues.', embeds: [], components: [] });
+    return;
+  }
+  const outcome = await withQueues(event, state => {
+    if (isInQueues(state, userId)) return { status: 'queued' };
+    if (draft.role === 'leader') {
+      // the queue may have changed since the teammates were picked
+      const conflicts = draft.teammates.filter(id => teammateConflict(state, id, userId));
+      if (conflicts.length > 0) return { status: 'conflicts', conflicts };
+      const movedTeammates = draft.teammates.filter(id => state.members.some(entry => entry.userId === id));
+      state.members = state.members.filter(entry => !draft.teammates.includes(entry.userId));
+      state.leaders.push({
+        userId,
+        additionalNeeded: draft.additionalNeeded,
+        teammates: draft.teammates,
+        crew: [],
+        timestamp: Date.now(),
+        tags: draft.tags
+      });
+      return { status: 'added', movedTeammates };
+    }
+    state.members.push({ userId, timestamp: Date.now(), tags: draft.tags });
+    return { status: 'added' };
+  });
+  if (outcome.status === 'conflicts') {
+    draft.teammates = draft.teammates.filter(id => !outcome.conflicts.includes(id));
+    draft.notice = `${outcome.conflicts.map(id => `<@${id}>`).join(', ')} joined another team in the meantime and were removed.`;
+    await saveDraft(event, userId, draft);
+    await interaction.update(buildProfilePrompt(draft, await getConfig(event)));
+    return;
+  }
+  await deleteDraft(event, userId);
+  if (outcome.status === 'queued') {
+    await interaction.update({ content: 'you are already in a queue.', embeds: [], components: [] });
+    return;
+  }
+  await recordMetric(event, 'joins');
+  if (draft.role === 'leader') {
+    for (const teammateId of outcome.movedTeammates) {
+      await logEvent(`user ${teammateId} left the team member queue to join leader ${userId} as a teammate.`, {
+        type: 'queue.teammate',
+        actorId: userId,
+        userId: teammateId,
+        event
+      });
+    }
+    await logEvent(
+      `user ${userId} added as leader with ${draft.teammates.length} teammate(s), needing ${draft.additionalNeeded} team member(s).`,
+      {
+        type: 'queue.join',
+        actorId: userId,
+        event,
+        payload: { role: 'leader', teammates: draft.teammates, additionalNeeded: draft.additionalNeeded, tags: draft.tags }
+      }
+    );
+    await interaction.update({
+      content: `you are now a team leader. you need ${draft.additionalNeeded} more team member(s).`,
+      embeds: [],
+      components: []
+    });
+  } else {
+    await logEvent(`user ${userId} added as team member.`, { type: 'queue.join', actorId: userId, event, payload: { role: 'member', tags: draft.tags } });
+    const embed = new EmbedBuilder()
+      .setTitle('team join request received')
+      .setDescription('you have been added to the queue. you will be notified when you are matched with a team.')
+      .setColor(0x2e2f33)
+      .setTimestamp(new Date());
+    await interaction.update({ content: '', embeds: [embed], components: [] });
+  }
+  await tryMatching(event);
+}
+
+async function handleLookingForMembersStart(interaction, event) {
+  if (!interaction.isButton()) return;
+  if (await replyIfBlocked(interaction, event)) return;
+  const state = await readQueues(clients.redis, event);
+  if (await replyIfOnTeam(interaction, state)) return;
+  const memberEntry = state.members.find(entry => entry.userId === interaction.user.id);
+  if (memberEntry) {
+    const embed = new EmbedBuilder()
+      .setTitle('switch allegiance?')
+      .setDescription('you are currently registered as a team member. if you want to be a team leader, you will leave that role. proceed?')
+      .setColor(0xffa500)
+      .setTimestamp(new Date());
+    const switchButton = new ButtonBuilder()
+      .setCustomId('switch_to_leader')
+      .setLabel('become leader')
+      .setStyle(ButtonStyle.Success);
+    const cancelButton = new ButtonBuilder()
+      .setCustomId('cancel_switch')
+      .setLabel('stay team member')
+      .setStyle(ButtonStyle.Secondary);
+    const row = new ActionRowBuilder().addComponents(switchButton, cancelButton);
+    await interaction.reply({ embeds: [embed], components: [row], ephemeral: true });
+    return;
+  }
+  const leaderEntry = state.leaders.find(entry => entry.userId === interaction.user.id);
+  if (leaderEntry) {
+    const teammates = teammatesOf(leaderEntry, await loadRosters(event));
+    const embed = new EmbedBuilder()
+      .setTitle('leader status')
+      .setDescription(
+        `your team already has **${teammates.length + leaderEntry.crew.length}** members.\nteam members still needed: **${leaderEntry.additionalNeeded}**.`
+      )
+      .setColor(0x2e2f33)
+      .setTimestamp(new Date());
+    const updateButton = new ButtonBuilder()
+      .setCustomId('update_recruitment')
+      .setLabel('update recruitment')
+      .setStyle(ButtonStyle.Primary);
+    const disbandButton = new ButtonBuilder()
+      .setCustomId('disband_team')
+      .setLabel('disband team')
+      .setStyle(ButtonStyle.Danger);
+    const row = new ActionRowBuilder().addComponents(updateButton, disbandButton);
+    await interaction.reply({ embeds: [embed], components: [row], ephemeral: true });
+    return;
+  }
+  const selectMenu = buildMemberCountMenu(await getConfig(event), 'select number of team members needed');
+  const row = new ActionRowBuilder().addComponents(selectMenu);
+  const embed = new EmbedBuilder()
+    .setTitle('leader setup')
+    .setDescription('select number of team members needed for your team.')
+    .setColor(0x2e2f33)
+    .setTimestamp(new Date());
+  await interaction.reply({ embeds: [embed], components: [row], ephemeral: true });
+}
+
+export async function handleMemberCountSelect(interaction, event) {
+  if (!interaction.isSelectMenu()) return;
+  const selectedValue = interaction.values[0];
+  const additionalNeeded = parseInt(selectedValue, 10);
+  if (isNaN(additionalNeeded)) {
+    await interaction.reply({ content: 'invalid selection.', ephemeral: true });
+    return;
+  }
+  const config = await getConfig(event);
+  if (!config.neededOptions.includes(additionalNeeded)) {
+    await interaction.reply({ content: 'invalid selection.', ephemeral: true });
+    return;
+  }
+  const rosters = await loadRosters(event);
+  const outcome = await withQueues(event, state => {
+    const leaderEntry = state.leaders.find(entry => entry.userId === interaction.user.id);
+    if (!leaderEntry) return { status: 'none' };
+    // the leader, their teammates and whoever they already recruited count towards the cap
+    const teamSize = 1 + teammatesOf(leaderEntry, rosters).length + leaderEntry.crew.length;
+    if (teamSize + additionalNeeded > config.maxTeamSize) return { status: 'too_many', teamSize };
+    leaderEntry.additionalNeeded = additionalNeeded;
+    return { status: 'updated' };
+  });
+  if (outcome.status === 'too_many') {
+    await interaction.reply({
+      content: `your team already has ${outcome.teamSize} people and teams are capped at ${config.maxTeamSize}. ` +
+        `you can recruit at most ${config.maxTeamSize - outcome.teamSize} more.`,
+      ephemeral: true
+    });
+    return;
+  }
+  if (outcome.status === 'none') {
+    const draft = (await getDraft(event, interaction.user.id)) ?? { teammates: [], tags: emptyTags() };
+    draft.role = 'leader';
+    draft.additionalNeeded = additionalNeeded;
+    draft.teammates = draft.teammates.slice(0, Math.max(0, config.maxTeamSize - 1 - additionalNeeded));
+    await saveDraft(event, interaction.user.id, draft);
+    await interaction.update(buildProfilePrompt(draft, config));
+    return;
+  }
+  await logEvent(`user ${interaction.user.id} updated recruitment to need ${additionalNeeded} team member(s).`, {
+    type: 'queue.recruitment',
+    actorId: interaction.user.id,
+    event,
+    payload: { additionalNeeded }
+  });
+  await interaction.update({
+    content: `you are now a team leader. you need ${additionalNeeded} more team member(s).`,
+    components: []
+  });
+  await tryMatching(event);
+}
+
+async function handleLeaveQueue(interaction, event) {
+  if (!interaction.isButton()) return;
+  const userId = interaction.user.id;
+  const outcome = await withQueues(event, state => {
+    // leaders confirm first, since leaving disbands their team
+    const leaderEntry = state.leaders.find(entry => entry.userId === userId);
+    if (leaderEntry) return { status: 'confirm', crewSize: leaderEntry.crew.length };
+    return removeFromQueues(state, userId);
+  });
+  if (outcome.status === 'confirm') {
+    const embed = new EmbedBuilder()
+      .setTitle('leave queue?')
+      .setDescription(
+        `you are currently a team leader with **${outcome.crewSize}** recruited team member(s). leaving will disband your team and return them to the front of the queue. proceed?`
+      )
+      .setColor(0xffa500)
+      .setTimestamp(new Date());
+    const disbandButton = new ButtonBuilder()
+      .setCustomId('disband_team')
+      .setLabel('disband team')
+      .setStyle(ButtonStyle.Danger);
+    const cancelButton = new ButtonBuilder()
+      .setCustomId('cancel_leave')
+      .setLabel('stay leader')
+      .setStyle(ButtonStyle.Secondary);
+    const row = new ActionRowBuilder().addComponents(disbandButton, cancelButton);
+    await interaction.reply({ embeds: [embed], components: [row], ephemeral: true });
+    return;
+  }
+  if (outcome.status === 'none') {
+    const embed = new EmbedBuilder()
+      .setTitle('not in queue')
+      .setDescription('you are not currently in any queue.')
+      .setColor(0x2e2f33)
+      .setTimestamp(new Date());
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+    return;
+  }
+  let description = 'you have been removed from the queue. you can rejoin from the lobby at any time.';
+  if (outcome.status === 'pending') {
+    await logEvent(`user ${userId} left the queue while match ${outcome.match.id} was pending.`, {
+      type: 'queue.leave',
+      actorId: userId,
+      event,
+      payload: { was: 'pending', matchId: outcome.match.id }
+    });
+    await notifyMatchCancelled(event, outcome.match, [userId]);
+    description = 'you have left your pending match and been removed from the queue.';
+  } else if (outcome.status === 'member') {
+    await logEvent(`user ${userId} left the team member queue.`, { type: 'queue.leave', actorId: userId, event, payload: { was: 'member' } });
+  } else if (outcome.status === 'teammate') {
+    await logEvent(`user ${userId} left team leader ${outcome.leaderId}'s team as a teammate.`, {
+      type: 'queue.leave',
+      actorId: userId,
+      event,
+      payload: { was: 'teammate', leaderId: outcome.leaderId }
+    });
+  } else {
+    await logEvent(`user ${userId} left team leader ${outcome.leaderId}'s crew.`, {
+      type: 'queue.leave',
+      actorId: userId,
+      event,
+      payload: { was: 'crew', leaderId: outcome.leaderId }
+    });
+  }
+  const embed = new EmbedBuilder()
+    .setTitle('left queue')
+    .setDescription(description)
+    .setColor(0x2e2f33)
+    .setTimestamp(new Date());
+  await interaction.reply({ embeds: [embed], ephemeral: true });
+  await tryMatching(event);
+}
+
+async function handleDisbandTeam(interaction, event) {
+  if (!interaction.isButton()) return;
+  const userId = interaction.user.id;
+  const released = await withQueues(event, state => {
+    const leaderEntry = state.leaders.find(entry => entry.userId === userId);
+    if (!leaderEntry) return null;
+    const released = releaseCrew(state, leaderEntry);
+    state.leaders = state.leaders.filter(entry => entry.userId !== userId);
+    return released;
+  });
+  if (!released) {
+    const embed = new EmbedBuilder()
+      .setTitle('not a team leader')
+      .setDescription('you are not currently leading a team.')
+      .setColor(0x2e2f33)
+      .setTimestamp(new Date());
+    await interaction.update({ embeds: [embed], components: [] });
+    return;
+  }
+  await logEvent(
+    `team leader ${userId} disbanded their team; returned ${released.length} crew member(s) to the team member queue.`,
+    { type: 'queue.disband', actorId: userId, event, payload: { released: released.map(member => member.userId) } }
+  );
+  const embed = new EmbedBuilder()
+    .setTitle('team disbanded')
+    .setDescription('you have left the queue and your recruited team members have been returned to the front of the queue.')
+    .setColor(0x2e2f33)
+    .setTimestamp(new Date());
+  await interaction.update({ embeds: [embed], components: [] });
+  await tryMatching(event);
+}
+
+async function handleConfirmTeam(interaction, event) {
+  if (!interaction.isButton()) return;
+  const team = await getInteractionTeam(interaction, event);
+  if (!team) return;
+  // only the people on the team (or organizers) get to confirm it, not anyone viewing the thread
+  if (!isOnTeam(team, interaction.user.id) && !hasPermission(interaction, 'manage')) {
+    await interaction.reply({ content: 'only members of this team can confirm it.', ephemeral: true });
+    return;
+  }
+  const embed = new EmbedBuilder()
+    .setTitle('team confirmed')
+    .setDescription('your team is set! may the code be with you.')
+    .setColor(0x2e2f33)
+    .setTimestamp(new Date());
+  await interaction.reply({ embeds: [embed], ephemeral: false });
+  const thread = interaction.channel;
+  await setTeamStatus(event, thread.id, 'confirmed');
+  await stopReplacementSearch(event, thread.id);
+  // team channels stay open for the team to work in
+  if (!thread.isThread()) return;
+  try {
+    await thread.setArchived(true, 'team confirmed');
+    await logEvent(`thread ${thread.id} archived after team confirmation.`, { level: 'debug', type: 'thread.archived', event });
+  } catch (error) {
+    await logEvent(`error archiving thread: ${error.message}`, { level: 'error', type: 'thread.archived', event });
+  }
+}
+
+// `/team avoid`: the people a user would rather not be matched with, in every event of the server.
+async function handleAvoidCommand(interaction) {
+  const subcommand = interaction.options.getSubcommand();
+  const userId = interaction.user.id;
+  const avoided = await getAvoidedUsers(interaction.guildId, userId);
+  if (subcommand === 'list') {
+    const embed = new EmbedBuilder()
+      .setTitle('people you will not be matched with')
+      .setDescription(avoided.map(id => `<@${id}>`).join('\n') || 'nobody. add someone with `/team avoid add`.')
+      .setFooter({ text: 'only you and the organizers can see this list.' })
+      .setColor(0x2e2f33)
+      .setTimestamp(new Date());
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+    return;
+  }
+  const user = interaction.options.getUser('user');
+  if (subcommand === 'remove') {
+    if (!avoided.includes(user.id)) {
+      await interaction.reply({ content: `<@${user.id}> is not on your list.`, ephemeral: true });
+      return;
+    }
+    await setAvoidedUsers(interaction.guildId, userId, avoided.filter(id => id !== user.id));
+    await logEvent(`user ${userId} no longer avoids being matched with ${user.id}.`, {
+      type: 'queue.avoid',
+      actorId: userId,
+      userId: user.id,
+      guildId: interaction.guildId,
+      payload: { avoided: false }
+    });
+    await interaction.reply({ content: `you can be matched with <@${user.id}> again.`, ephemeral: true });
+    return;
+  }
+  if (user.id === userId || user.bot) {
+    await interaction.reply({ content: 'pick another person.', ephemeral: true });
+    return;
+  }
+  if (avoided.includes(user.id)) {
+    await interaction.reply({ content: `<@${user.id}> is already on your list.`, ephemeral: true });
+    return;
+  }
+  if (avoided.length >= MAX_AVOIDED_USERS) {
+    await interaction.reply({ content: `you can list at most ${MAX_AVOIDED_USERS} people. remove someone first.`, ephemeral: true });
+    return;
+  }
+  await setAvoidedUsers(interaction.guildId, userId, [...avoided, user.id]);
+  await logEvent(`user ${userId} asked not to be matched with ${user.id}.`, {
+    type: 'queue.avoid',
+    actorId: userId,
+    userId: user.id,
+    guildId: interaction.guildId,
+    payload: { avoided: true }
+  });
+  await interaction.reply({
+    content: `you will not be matched with <@${user.id}>. they are not told about this, and teams already formed are not changed.`,
+    ephemeral: true
+  });
+}
+
+async function showTeamStatus(interaction, event) {
+  const userId = interaction.user.id;
+  const [state, historyData] = await Promise.all([
+    readQueues(clients.redis, event),
+    clients.redis.lRange(eventKey(event, REDIS_KEY_MATCH_HISTORY), 0, -1)
+  ]);
+  const history = historyData.map(data => JSON.parse(data));
+  const now = Date.now();
+  const fields = [];
+  let description;
+  const estimate = (role, count) => {
+    const waitMs = estimateWaitMs(history, role, count, now);
+    return waitMs === null ? 'not enough recent matches to tell' : `about ${formatDuration(waitMs)}`;
+  };
+  const neededUpTo = index => state.leaders.slice(0, index + 1).reduce((total, leader) => total + leader.additionalNeeded, 0);
+  const leaderIndex = state.leaders.findIndex(entry => entry.userId === userId);
+  const memberIndex = state.members.findIndex(entry => entry.userId === userId);
+  const crewLeader = findCrewLeader(state, userId);
+  const teammateLeader = findTeammateLeader(state, userId);
+  const pendingMatch = findPendingMatch(state, userId);
+  const formingMatch = findFormingMatch(state, userId);
+  if (formingMatch) {
+    description = 'everyone accepted! your team thread is being set up and will show up shortly.';
+  } else if (pendingMatch) {
+    const waitingOn = matchParticipants(pendingMatch).filter(id => pendingMatch.responses[id] !== 'accepted');
+    description = 'your team is complete and waiting for everyone to accept. check your dms for the prompt.';
+    fields.push(
+      { name: 'waiting on', value: waitingOn.map(id => `<@${id}>`).join(', ') || 'nobody', inline: true },
+      { name: 'expires', value: `<t:${Math.floor(pendingMatch.expiresAt / 1000)}:R>`, inline: true }
+    );
+  } else if (leaderIndex !== -1) {
+    const leader = state.leaders[leaderIndex];
+    description = `you are a **team leader** needing **${leader.additionalNeeded}** more team member(s).`;
+    fields.push(
+      { name: 'position', value: `${leaderIndex + 1} of ${state.leaders.length}`, inline: true },
+      { name: 'leaders ahead', value: `${leaderIndex}`, inline: true },
+      { name: 'members waiting', value: `${state.members.length}`, inline: true },
+      { name: 'waiting for', value: formatDuration(now - leader.timestamp), inline: true },
+      // leaders ahead are filled first, so count the members they still need too
+      { name: 'estimated wait', value: estimate('member', neededUpTo(leaderIndex)), inline: true }
+    );
+  } else if (memberIndex !== -1) {
+    const member = state.members[memberIndex];
+    const openLeaders = state.leaders.filter(leader => leader.additionalNeeded > 0).length;
+    description = 'you are waiting as a **team member**.';
+    fields.push(
+      { name: 'position', value: `${memberIndex + 1} of ${state.members.length}`, inline: true },
+      { name: 'members ahead', value: `${memberIndex}`, inline: true },
+      { name: 'leaders recruiting', value: `${openLeaders}`, inline: true },
+      { name: 'waiting for', value: formatDuration(now - member.timestamp), inline: true },
+      { name: 'estimated wait', value: estimate('member', memberIndex + 1), inline: true }
+    );
+  } else if (crewLeader || teammateLeader) {
+    const leader = crewLeader ?? teammateLeader;
+    description = `you are on <@${leader.userId}>'s team, which still needs **${leader.additionalNeeded}** more team member(s).`;
+    fields.push({ name: 'estimated wait', value: estimate('member', neededUpTo(state.leaders.indexOf(leader))), inline: true });
+  } else {
+    const teams = await listTeams(event);
+    const team = teams
+      .reverse()
+      .find(other => other.status !== 'closed' && (other.leaderId === userId || other.memberIds.includes(userId)));
+    description = team
+      ? `you are on **${team.id}** (${team.status}). your team's channel: <#${team.threadId}>`
+      : 'you are not in any queue. use **join a team** or **create a team** in the lobby to get started.';
+  }
+  const embed = new EmbedBuilder()
+    .setTitle(`your status: ${event.name}`)
+    .setDescription(description)
+    .setColor(0x2e2f33)
+    .setTimestamp(new Date());
+  if (fields.length > 0) {
+    embed.addFields(fields);
+  }
+  await interaction.reply({ embeds: [embed], ephemeral: true });
+}
@@ -0,0 +1,41 @@
+import { logEvent } from './log.js';
+
+// Work still in progress when the process is asked to stop, so a restart doesn't cut a handler
+// off halfway through its redis writes and discord calls.
+const inFlight = new Set();
+let stopping = false;
+
+export function isStopping() {
+  return stopping;
+}
+
+// wraps an event listener so that every call to it is waited for on shutdown. nothing awaits an
+// event listener, so an error it throws is logged here instead of ending the process as an
+// unhandled rejection.
+export function tracked(listener) {
+  return async (...args) => {
+    // a listener that throws before its first await still ends up as a rejected promise
+    const work = (async () => listener(...args))();
+    inFlight.add(work);
+    try {
+      await work;
+    } catch (err) {
+      await logEvent(`error in ${listener.name || 'an event listener'}: ${err.message}`, { level: 'error', type: 'system' });
+    } finally {
+      inFlight.delete(work);
+    }
+  };
+}
+
+// refuses new interactions from now on and waits up to timeoutMs for the running ones;
+// resolves to how many are still unfinished.
+export async function drain(timeoutMs) {
+  stopping = true;
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(resolve, timeoutMs);
+  });
+  await Promise.race([Promise.allSettled([...inFlight]), timeout]);
+  clearTimeout(timer);
+  return inFlight.size;
+}
@@ -0,0 +1,115 @@
+import {
+  ButtonBuilder,
+  ActionRowBuilder,
+  ButtonStyle,
+  EmbedBuilder,
+  RESTJSONErrorCodes
+} from 'discord.js';
+import { clients } from './clients.js';
+import { LOBBY_REFRESH_DELAY_MS, REDIS_KEY_LOBBY_MESSAGE, REDIS_KEY_TEAMS } from './constants.js';
+import { logEvent } from './log.js';
+import { eventRef, eventKey, getEvent, findEventByChannel } from './events.js';
+import { readQueues } from './store.js';
+import { getConfig } from './settings.js';
+
+// pending debounced lobby refreshes by event
+const lobbyRefreshTimers = new Map();
+
+async function buildLobbyMessage(event) {
+  const config = await getConfig(event);
+  const { leaders, members } = await readQueues(clients.redis, event);
+  const teamsFormed = await clients.redis.hLen(eventKey(event, REDIS_KEY_TEAMS));
+  const lobbyEmbed = new EmbedBuilder()
+    .setTitle(config.lobbyTitle)
+    .setDescription(
+      `${config.lobbyDescription}\n` +
+      '- **join a team** if you want to join an existing team.\n' +
+      `- **create a team** if you want to lead a team. (teams can have 2–${config.maxTeamSize} members)`
+    )
+    .addFields(
+      { name: 'leaders waiting', value: `${leaders.length}`, inline: true },
+      { name: 'members waiting', value: `${members.length}`, inline: true },
+      { name: 'teams formed', value: `${teamsFormed}`, inline: true }
+    )
+    .setColor(0x2e2f33)
+    .setTimestamp(new Date())
+    .setImage(config.bannerUrl);
+  const joinTeamButton = new ButtonBuilder()
+    .setCustomId('looking_for_team')
+    .setLabel('join a team')
+    .setStyle(ButtonStyle.Primary);
+  const createTeamButton = new ButtonBuilder()
+    .setCustomId('looking_for_members_start')
+    .setLabel('create a team')
+    .setStyle(ButtonStyle.Success);
+  const leaveQueueButton = new ButtonBuilder()
+    .setCustomId('leave_queue')
+    .setLabel('leave queue')
+    .setStyle(ButtonStyle.Secondary);
+  const statusButton = new ButtonBuilder()
+    .setCustomId('team_status')
+    .setLabel('my status')
+    .setStyle(ButtonStyle.Secondary);
+  const row = new ActionRowBuilder().addComponents(joinTeamButton, createTeamButton, leaveQueueButton, statusButton);
+  return { embeds: [lobbyEmbed], components: [row] };
+}
+
+// edits an event's lobby message remembered in redis in place, and only posts a new one
+// when there is none yet or it has been deleted.
+export async function syncLobbyMessage(event) {
+  const channel = await clients.discord.channels.fetch(event.lobbyChannelId);
+  if (!channel) {
+    await logEvent(`lobby channel for ${eventRef(event)} not found!`, { level: 'error', type: 'lobby', event });
+    return;
+  }
+  const lobbyMessage = await buildLobbyMessage(event);
+  const messageId = await clients.redis.get(eventKey(event, REDIS_KEY_LOBBY_MESSAGE));
+  if (messageId) {
+    try {
+      const message = await channel.messages.fetch(messageId);
+      await message.edit(lobbyMessage);
+      return;
+    } catch (err) {
+      if (err.code !== RESTJSONErrorCodes.UnknownMessage) throw err;
+    }
+  }
+  const message = await channel.send(lobbyMessage);
+  await clients.redis.set(eventKey(event, REDIS_KEY_LOBBY_MESSAGE), message.id);
+  await logEvent(`lobby message for ${eventRef(event)} posted.`, { type: 'lobby', event });
+}
+
+// queue changes come in bursts, so each lobby summary is refreshed at most once per delay.
+export function scheduleLobbyRefresh(event) {
+  const ref = eventRef(event);
+  if (lobbyRefreshTimers.has(ref)) return;
+  lobbyRefreshTimers.set(ref, setTimeout(async () => {
+    lobbyRefreshTimers.delete(ref);
+    try {
+      // re-read the event so a lobby moved in the meantime is refreshed in its new channel
+      const current = await getEvent(event.guildId, event.eventId);
+      if (current) await syncLobbyMessage(current);
+    } catch (err) {
+      console.error(`error refreshing lobby message for ${ref}:`, err);
+    }
+  }, LOBBY_REFRESH_DELAY_MS));
+}
+
+export function cancelLobbyRefreshes() {
+  for (const timer of lobbyRefreshTimers.values()) {
+    clearTimeout(timer);
+  }
+  lobbyRefreshTimers.clear();
+}
+
+// reposts an event's lobby message when somebody deletes it.
+export async function handleMessageDelete(message) {
+  try {
+    const event = await findEventByChannel(message.channelId);
+    if (event && message.id === (await clients.redis.get(eventKey(event, REDIS_KEY_LOBBY_MESSAGE)))) {
+      await logEvent(`lobby message for ${eventRef(event)} was deleted; reposting.`, { level: 'warn', type: 'lobby', event });
+      await syncLobbyMessage(event);
+    }
+  } catch (err) {
+    console.error('error reposting lobby message:', err);
+  }
+}
@@ -0,0 +1,110 @@
+import { EmbedBuilder } from 'discord.js';
+import { clients } from './clients.js';
+import { REDIS_KEY_AUDIT_LOG, REDIS_KEY_AUDIT_USER_PREFIX } from './constants.js';
+import { eventRef } from './events.js';
+
+export const LOGS_CHANNEL_ID = process.env.LOGS_CHANNEL_ID;
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const LOG_LEVEL_COLORS = { debug: 0x2e2f33, info: 0x2e2f33, warn: 0xffa500, error: 0xff0000 };
+const LOG_LEVEL = LOG_LEVELS.includes(process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : 'info';
+const LOG_CHANNEL_LEVEL = LOG_LEVELS.includes(process.env.LOG_CHANNEL_LEVEL) ? process.env.LOG_CHANNEL_LEVEL : 'info';
+const LOG_FLUSH_DELAY_MS = 10 * 1000;
+const AUDIT_LOG_MAX_LENGTH = 10000;
+const AUDIT_USER_LOG_MAX_LENGTH = 500;
+
+// log lines waiting to be posted to the logs channel
+const pendingLogLines = [];
+let logFlushTimer = null;
+
+// Audit log. Every entry at or above LOG_LEVEL is printed and appended to a capped redis
+// stream, plus a per-guild stream for each user it involves so /admin audit can look them
+// up. Entries at or above LOG_CHANNEL_LEVEL are also posted to the logs channel, batched
+// into one embed per flush so busy periods don't run into rate limits.
+export async function logEvent(
+  message,
+  { level = 'info', type = 'general', actorId = null, userId = null, event = null, guildId = null, payload = null } = {}
+) {
+  if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(LOG_LEVEL)) return;
+  const time = Date.now();
+  (level === 'error' ? console.error : console.log)(`[${level}] ${message}`);
+  const entryGuildId = guildId ?? event?.guildId ?? null;
+  const fields = {
+    time: String(time),
+    level,
+    type,
+    message,
+    actor: actorId ?? '',
+    user: userId ?? '',
+    guild: entryGuildId ?? '',
+    event: event ? eventRef(event) : '',
+    payload: payload === null ? '' : JSON.stringify(payload)
+  };
+  try {
+    await clients.redis.xAdd(REDIS_KEY_AUDIT_LOG, '*', fields, {
+      TRIM: { strategy: 'MAXLEN', strategyModifier: '~', threshold: AUDIT_LOG_MAX_LENGTH }
+    });
+    if (entryGuildId) {
+      for (const id of new Set([actorId, userId].filter(Boolean))) {
+        await clients.redis.xAdd(`${REDIS_KEY_AUDIT_USER_PREFIX}${entryGuildId}:${id}`, '*', fields, {
+          TRIM: { strategy: 'MAXLEN', strategyModifier: '~', threshold: AUDIT_USER_LOG_MAX_LENGTH }
+        });
+      }
+    }
+  } catch (err) {
+    console.error('error writing audit log:', err);
+  }
+  if (LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(LOG_CHANNEL_LEVEL)) {
+    pendingLogLines.push({ time, level, type, message });
+    scheduleLogFlush();
+  }
+}
+
+function scheduleLogFlush() {
+  if (logFlushTimer) return;
+  logFlushTimer = setTimeout(() => {
+    logFlushTimer = null;
+    flushLogs().catch(err => {
+      console.error('error posting to logs channel:', err);
+      // lines logged while the bot is still starting up stay queued; try them again later
+      if (pendingLogLines.length > 0) scheduleLogFlush();
+    });
+  }, LOG_FLUSH_DELAY_MS);
+}
+
+export async function flushLogs() {
+  // also called directly on shutdown, ahead of the scheduled flush
+  clearTimeout(logFlushTimer);
+  logFlushTimer = null;
+  if (pendingLogLines.length === 0) return;
+  if (!clients.discord?.isReady()) {
+    // still logging in; keep the lines for the next flush
+    scheduleLogFlush();
+    return;
+  }
+  const lines = pendingLogLines.splice(0);
+  const logsChannel = await clients.discord.channels.fetch(LOGS_CHANNEL_ID);
+  if (!logsChannel) return;
+  const worst = Math.max(...lines.map(line => LOG_LEVELS.indexOf(line.level)));
+  const chunks = [];
+  let current = '';
+  for (const { time, level, type, message } of lines) {
+    const prefix = level === 'info' ? '' : `**${level}** `;
+    const text = `<t:${Math.floor(time / 1000)}:T> ${prefix}\`${type}\` ${message}`.slice(0, 1000);
+    if (current && current.length + text.length + 1 > 4000) {
+      chunks.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n${text}` : text;
+  }
+  chunks.push(current);
+  // a message holds at most 10 embeds
+  for (let i = 0; i < chunks.length; i += 10) {
+    const embeds = chunks.slice(i, i + 10).map(description =>
+      new EmbedBuilder()
+        .setDescription(description)
+        .setColor(LOG_LEVEL_COLORS[LOG_LEVELS[worst]])
+        .setTimestamp(new Date())
+    );
+    await logsChannel.send({ embeds });
+  }
+}
@@ -0,0 +1,292 @@
+import {
+  ButtonBuilder,
+  ActionRowBuilder,
+  ButtonStyle,
+  EmbedBuilder
+} from 'discord.js';
+import { randomUUID } from 'crypto';
+import { clients } from './clients.js';
+import {
+  MATCH_MAX_WAIT_MS,
+  MATCH_ACCEPT_MS,
+  MATCH_HISTORY_LENGTH,
+  EXPERIENCE_LEVELS,
+  REDIS_KEY_MATCH_HISTORY
+} from './constants.js';
+import { logEvent } from './log.js';
+import { eventRef, eventKey } from './events.js';
+import { withQueues, emptyTags, returnMatchToQueues, teammatesOf } from './store.js';
+import { loadRosters } from './teams.js';
+import { getMemberNames } from './members.js';
+import { loadAvoidance, avoidsPairing } from './blocklist.js';
+import { recordMetric, recordMatchWaits } from './metrics.js';
+
+// Timeouts for pending matches this process is watching, keyed by match id. These are
+// re-armed from redis on startup; whichever process fires first resolves the match.
+const matchTimers = new Map();
+
+// higher is better. languages the team doesn't cover yet are worth more than shared
+// ones so teams end up complementary; experience and timezone reward being close.
+function scoreMember(leader, member) {
+  const memberTags = member.tags || emptyTags();
+  const leaderTags = leader.tags || emptyTags();
+  let score = 0;
+  const covered = new Set([leader, ...leader.crew].flatMap(entry => entry.tags?.languages ?? []));
+  for (const language of memberTags.languages) {
+    score += covered.has(language) ? 1 : 3;
+  }
+  if (memberTags.experience && leaderTags.experience) {
+    const gap = Math.abs(
+      EXPERIENCE_LEVELS.indexOf(memberTags.experience) - EXPERIENCE_LEVELS.indexOf(leaderTags.experience)
+    );
+    score += 2 - gap;
+  }
+  if (memberTags.timezone && leaderTags.timezone && memberTags.timezone === leaderTags.timezone) {
+    score += 4;
+  }
+  return score;
+}
+
+function pickMember(state, leader, now, avoidance, rosters) {
+  const teamIds = [leader.userId, ...teammatesOf(leader, rosters), ...leader.crew.map(member => member.userId)];
+  // nobody is put on a team with someone either of them asked not to be teamed with, however long they waited
+  const candidates = state.members.filter(
+    entry => entry.userId !== leader.userId && !teamIds.some(id => avoidsPairing(avoidance, id, entry.userId))
+  );
+  if (candidates.length === 0) return null;
+  // anyone who has waited past the limit is matched first-come, first-served
+  const overdue = candidates.find(entry => now - entry.timestamp >= MATCH_MAX_WAIT_MS);
+  if (overdue) return overdue;
+  let best = candidates[0];
+  let bestScore = scoreMember(leader, best);
+  for (const candidate of candidates.slice(1)) {
+    const score = scoreMember(leader, candidate);
+    if (score > bestScore) {
+      best = candidate;
+      bestScore = score;
+    }
+  }
+  return best;
+}
+
+// matches only within the event's own queues.
+export async function tryMatching(event) {
+  await logEvent(`attempting to match team members with team leaders in ${eventRef(event)}...`, { level: 'debug', type: 'match.run', event });
+  let outcome;
+  let rosters;
+  try {
+    const avoidance = await loadAvoidance(event.guildId);
+    rosters = await loadRosters(event);
+    outcome = await withQueues(event, state => {
+      const now = Date.now();
+      const recruited = [];
+      const matches = [];
+      for (let i = 0; i < state.leaders.length; i++) {
+        const leader = state.leaders[i];
+        while (leader.additionalNeeded > 0) {
+          const member = pickMember(state, leader, now, avoidance, rosters);
+          if (!member) break;
+          state.members.splice(state.members.indexOf(member), 1);
+          leader.crew.push(member);
+          leader.additionalNeeded--;
+          recruited.push({ leaderId: leader.userId, memberId: member.userId });
+        }
+        if (leader.additionalNeeded === 0) {
+          state.leaders.splice(i, 1);
+          i--;
+          const match = createPendingMatch(leader);
+          state.pendingMatches.push(match);
+          matches.push(match);
+        }
+      }
+      return { recruited, matches };
+    });
+  } catch (err) {
+    await logEvent(`error matching queues in ${eventRef(event)}: ${err.message}`, { level: 'error', type: 'match.run', event });
+    return;
+  }
+  for (const { leaderId, memberId } of outcome.recruited) {
+    await logEvent(`team leader ${leaderId} recruited team member ${memberId}`, {
+      type: 'match.recruited',
+      actorId: leaderId,
+      userId: memberId,
+      event
+    });
+  }
+  for (const match of outcome.matches) {
+    await logEvent(`team leader ${match.leader.userId}'s team is complete; waiting for everyone to accept.`, {
+      type: 'match.created',
+      userId: match.leader.userId,
+      event,
+      payload: { matchId: match.id, participants: matchParticipants(match) }
+    });
+    await recordMatchHistory(event, match);
+    await recordMetric(event, 'matches');
+    await recordMatchWaits(event, match);
+    await startPendingMatch(event, match, rosters);
+  }
+}
+
+async function recordMatchHistory(event, match) {
+  const now = Date.now();
+  const entry = {
+    at: now,
+    leaderWaitMs: now - match.leader.timestamp,
+    memberWaitsMs: match.leader.crew.map(member => now - member.timestamp)
+  };
+  try {
+    await clients.redis
+      .multi()
+      .lPush(eventKey(event, REDIS_KEY_MATCH_HISTORY), JSON.stringify(entry))
+      .lTrim(eventKey(event, REDIS_KEY_MATCH_HISTORY), 0, MATCH_HISTORY_LENGTH - 1)
+      .exec();
+  } catch (err) {
+    console.error('error recording match history:', err);
+  }
+}
+
+// how long the given number of people of a role will likely take to be matched, going by how
+// many of that role were matched over the recent history; null when there is too little of it.
+export function estimateWaitMs(history, role, count, now) {
+  if (history.length < 2) return null;
+  const span = now - history[history.length - 1].at;
+  const matched = role === 'leader'
+    ? history.length
+    : history.reduce((total, entry) => total + entry.memberWaitsMs.length, 0);
+  if (span <= 0 || matched === 0) return null;
+  return Math.round((count * span) / matched);
+}
+
+// the leader and every recruited member must accept; teammates were already named by the leader.
+export function matchParticipants(match) {
+  return [match.leader.userId, ...match.leader.crew.map(member => member.userId)];
+}
+
+function createPendingMatch(leader) {
+  return {
+    id: randomUUID(),
+    leader,
+    responses: {},
+    expiresAt: Date.now() + MATCH_ACCEPT_MS
+  };
+}
+
+async function startPendingMatch(event, match, rosters) {
+  scheduleMatchTimeout(event, match);
+  const { leader } = match;
+  const names = await getMemberNames(
+    event.guildId,
+    [leader.userId, ...teammatesOf(leader, rosters), ...leader.crew.map(member => member.userId)]
+  );
+  for (const userId of matchParticipants(match)) {
+    await sendMatchPrompt(event, match, userId, names);
+  }
+}
+
+export function scheduleMatchTimeout(event, match) {
+  clearMatchTimer(match.id);
+  const timer = setTimeout(() => {
+    matchTimers.delete(match.id);
+    expirePendingMatch(event, match.id).catch(err => console.error('error expiring pending match:', err));
+  }, Math.max(0, match.expiresAt - Date.now()));
+  matchTimers.set(match.id, timer);
+}
+
+export function clearMatchTimer(matchId) {
+  clearTimeout(matchTimers.get(matchId));
+  matchTimers.delete(matchId);
+}
+
+export function clearMatchTimers() {
+  for (const matchId of matchTimers.keys()) {
+    clearMatchTimer(matchId);
+  }
+}
+
+async function expirePendingMatch(event, matchId) {
+  const expired = await withQueues(event, state => {
+    const match = state.pendingMatches.find(other => other.id === matchId);
+    if (!match) return null;
+    const unanswered = matchParticipants(match).filter(userId => match.responses[userId] !== 'accepted');
+    returnMatchToQueues(state, match, unanswered);
+    return { match, unanswered };
+  });
+  if (!expired) return;
+  await logEvent(`match ${matchId} timed out waiting for ${expired.unanswered.join(', ')}.`, {
+    type: 'match.expired',
+    userId: expired.match.leader.userId,
+    event,
+    payload: { matchId, unanswered: expired.unanswered }
+  });
+  await notifyMatchCancelled(event, expired.match, expired.unanswered);
+  await tryMatching(event);
+}
+
+async function sendMatchPrompt(event, match, userId, names) {
+  const minutes = Math.round(MATCH_ACCEPT_MS / 60000);
+  const embed = new EmbedBuilder()
+    .setTitle('team found!')
+    .setDescription(
+      `you have been matched into a team with: **${names.join(', ')}**.\n\n` +
+      `accept within **${minutes}** minute(s) to keep your spot. if anyone declines or doesn't answer, everyone else goes back into the queue.`
+    )
+    .setColor(0x2e2f33)
+    .setTimestamp(new Date());
+  const acceptButton = new ButtonBuilder()
+    .setCustomId(`match_accept:${eventRef(event)}:${match.id}`)
+    .setLabel('accept')
+    .setStyle(ButtonStyle.Success);
+  const declineButton = new ButtonBuilder()
+    .setCustomId(`match_decline:${eventRef(event)}:${match.id}`)
+    .setLabel('decline')
+    .setStyle(ButtonStyle.Danger);
+  const row = new ActionRowBuilder().addComponents(acceptButton, declineButton);
+  await sendPrompt(event, userId, { embeds: [embed], components: [row] });
+}
+
+// dms a prompt, falling back to pinging the user in the event's lobby when their dms are closed.
+export async function sendPrompt(event, userId, message) {
+  try {
+    const user = await clients.discord.users.fetch(userId);
+    await user.send(message);
+  } catch (err) {
+    try {
+      const channel = await clients.discord.channels.fetch(event.lobbyChannelId);
+      await channel.send({ ...message, content: `<@${userId}>` });
+    } catch (fallbackErr) {
+      await logEvent(`could not deliver prompt to ${userId}: ${fallbackErr.message}`, { level: 'warn', type: 'prompt.failed', userId, event });
+    }
+  }
+}
+
+export async function notifyUser(userId, message) {
+  try {
+    const user = await clients.discord.users.fetch(userId);
+    await user.send(message);
+  } catch (err) {
+    console.error(`could not dm ${userId}:`, err.message);
+  }
+}
+
+export async function notifyMatchCancelled(event, match, droppedIds) {
+  clearMatchTimer(match.id);
+  const { leader } = match;
+  for (const member of leader.crew) {
+    if (droppedIds.includes(member.userId)) continue;
+    await notifyUser(member.userId, 'a teammate did not accept the match, so you have been put back in the queue at your original spot.');
+  }
+  if (!droppedIds.includes(leader.userId)) {
+    await notifyUser(leader.userId, 'a recruit did not accept the match, so your team is back in the queue at its original spot.');
+  } else if (!leader.threadId) {
+    for (const userId of leader.teammates) {
+      if (droppedIds.includes(userId)) continue;
+      await notifyUser(userId, `<@${leader.userId}> did not accept the match, so you have been put in the team member queue in their place.`);
+    }
+  }
+  await logEvent(`match ${match.id} cancelled; removed ${droppedIds.join(', ')} from the queue.`, {
+    type: 'match.cancelled',
+    userId: leader.userId,
+    event,
+    payload: { matchId: match.id, droppedIds }
+  });
+}
@@ -0,0 +1,28 @@
+import { RESTJSONErrorCodes } from 'discord.js';
+import { clients } from './clients.js';
+
+export async function getMemberNames(guildId, userIds) {
+  const guild = clients.discord.guilds.cache.get(guildId);
+  if (!guild) return userIds;
+  const promises = userIds.map(async (id) => {
+    try {
+      const member = guild.members.cache.get(id) || (await guild.members.fetch(id));
+      return member.displayName;
+    } catch (err) {
+      return id;
+    }
+  });
+  return Promise.all(promises);
+}
+
+export async function isGuildMember(guildId, userId) {
+  const guild = clients.discord.guilds.cache.get(guildId);
+  // without the guild there is no way to tell, so leave them be
+  if (!guild) return true;
+  try {
+    await guild.members.fetch(userId);
+    return true;
+  } catch (err) {
+    return err.code !== RESTJSONErrorCodes.UnknownMember;
+  }
+}
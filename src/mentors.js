@@ -0,0 +1,224 @@
+import { WatchError } from 'redis';
+import { clients } from './clients.js';
+import {
+  QUEUE_TRANSACTION_ATTEMPTS,
+  REDIS_KEY_CONFIG,
+  REDIS_KEY_MENTORS,
+  REDIS_KEY_MENTORS_MIGRATED,
+  REDIS_KEY_HELP_TICKETS
+} from './constants.js';
+import { logEvent } from './log.js';
+import { eventRef, eventKey } from './events.js';
+import { listTeams } from './teams.js';
+
+// the setting that, before the mentor pool, named a role whose members were added to every
+// team, and the role it defaulted to when no organizer changed it
+const LEGACY_SETTING_AUTO_ADD_ROLE = 'autoAddRoleId';
+const LEGACY_AUTO_ADD_ROLE_DEFAULT = '1336115778302251058';
+
+// Mentor pool: the people who look after an event's teams, in a hash keyed by user id.
+// Each mentor: { userId, addedAt, lastAssignedAt }
+export async function listMentors(event) {
+  const mentorsData = await clients.redis.hVals(eventKey(event, REDIS_KEY_MENTORS));
+  return mentorsData.map(data => JSON.parse(data)).sort((a, b) => a.addedAt - b.addedAt);
+}
+
+// resolves to false when they were already in the pool.
+export async function addMentor(event, userId) {
+  const mentor = { userId, addedAt: Date.now(), lastAssignedAt: null };
+  const added = await clients.redis.hSetNX(eventKey(event, REDIS_KEY_MENTORS), userId, JSON.stringify(mentor));
+  return Boolean(added);
+}
+
+// events set up before the mentor pool get everyone who has their auto-add role (the stored
+// one, or else its old default; "none" meant no role) as mentors, once. runs on startup, before
+// any team can be formed; errors are only logged and the migration is tried again on the next
+// start. adding is idempotent, so two processes migrating at once end up with the same pool.
+export async function migrateAutoAddRole(event) {
+  try {
+    if (await clients.redis.get(eventKey(event, REDIS_KEY_MENTORS_MIGRATED))) return;
+    const storedRoleId = await clients.redis.hGet(eventKey(event, REDIS_KEY_CONFIG), LEGACY_SETTING_AUTO_ADD_ROLE);
+    const roleId = storedRoleId === 'none' ? null : storedRoleId ?? LEGACY_AUTO_ADD_ROLE_DEFAULT;
+    const added = [];
+    if (roleId) {
+      const guild = clients.discord.guilds.cache.get(event.guildId);
+      if (!guild) throw new Error(`guild ${event.guildId} is not available`);
+      const members = await guild.members.fetch();
+      for (const member of members.values()) {
+        if (!member.roles.cache.has(roleId) || member.user.bot) continue;
+        if (await addMentor(event, member.id)) added.push(member.id);
+      }
+    }
+    await markMentorsMigrated(event);
+    await clients.redis.hDel(eventKey(event, REDIS_KEY_CONFIG), LEGACY_SETTING_AUTO_ADD_ROLE);
+    if (roleId) {
+      await logEvent(`moved ${added.length} member(s) of the auto-add role ${roleId} into the mentor pool of ${eventRef(event)}.`, {
+        type: 'system',
+        event,
+        payload: { roleId, mentorIds: added }
+      });
+    }
+  } catch (err) {
+    await logEvent(`error moving the auto-add role of ${eventRef(event)} into its mentor pool: ${err.message}`, {
+      level: 'error',
+      type: 'system',
+      event
+    });
+  }
+}
+
+// events set up after the mentor pool existed have nothing to migrate.
+export async function markMentorsMigrated(event) {
+  await clients.redis.set(eventKey(event, REDIS_KEY_MENTORS_MIGRATED), '1');
+}
+
+// teams keep the mentors they were assigned; a removed mentor just gets no new teams or tickets.
+export async function removeMentor(event, userId) {
+  return (await clients.redis.hDel(eventKey(event, REDIS_KEY_MENTORS), userId)) > 0;
+}
+
+// open teams each mentor looks after, by user id.
+export function mentorTeamLoads(mentors, teams) {
+  return new Map(mentors.map(mentor => [
+    mentor.userId,
+    teams.filter(team => team.status !== 'closed' && team.mentorIds?.includes(mentor.userId)).length
+  ]));
+}
+
+// picks up to `count` mentors for a new team: those looking after the fewest open teams and, of
+// those, whoever was assigned longest ago, so that new teams go round the pool in turn.
+export async function assignMentors(event, count, excludedIds = []) {
+  if (count === 0) return [];
+  const mentors = (await listMentors(event)).filter(mentor => !excludedIds.includes(mentor.userId));
+  if (mentors.length === 0) return [];
+  const loads = mentorTeamLoads(mentors, await listTeams(event));
+  const assigned = mentors
+    .sort((a, b) => loads.get(a.userId) - loads.get(b.userId) || (a.lastAssignedAt ?? 0) - (b.lastAssignedAt ?? 0))
+    .slice(0, count);
+  const now = Date.now();
+  for (const mentor of assigned) {
+    mentor.lastAssignedAt = now;
+    await clients.redis.hSet(eventKey(event, REDIS_KEY_MENTORS), mentor.userId, JSON.stringify(mentor));
+  }
+  return assigned.map(mentor => mentor.userId);
+}
+
+// Help tickets, in a hash keyed by ticket id:
+// { id, teamId, threadId, requesterId, mentorId, status, createdAt, claimedBy, claimedAt, resolvedBy, resolvedAt }
+// mentorId is the mentor who was pinged, or null when nobody was available. tickets go from open
+// to claimed (by whichever mentor takes it) to resolved, and are never deleted.
+export async function readHelpTickets(redisClient, event) {
+  const ticketsData = await redisClient.hVals(eventKey(event, REDIS_KEY_HELP_TICKETS));
+  return ticketsData.map(data => JSON.parse(data)).sort((a, b) => a.createdAt - b.createdAt);
+}
+
+// runs `mutate` against every ticket of an event, oldest first, and commits the tickets it
+// changed or added. like withQueues, the hash is WATCHed and `mutate` runs again if another
+// handler got there first, so it must be synchronous and free of side effects.
+export async function withHelpTickets(event, mutate) {
+  const key = eventKey(event, REDIS_KEY_HELP_TICKETS);
+  for (let attempt = 1; attempt <= QUEUE_TRANSACTION_ATTEMPTS; attempt++) {
+    try {
+      return await clients.redis.executeIsolated(async (isolatedClient) => {
+        await isolatedClient.watch(key);
+        const tickets = await readHelpTickets(isolatedClient, event);
+        const before = new Map(tickets.map(ticket => [ticket.id, JSON.stringify(ticket)]));
+        const result = mutate(tickets);
+        const changed = tickets.filter(ticket => before.get(ticket.id) !== JSON.stringify(ticket));
+        if (changed.length === 0) {
+          await isolatedClient.unwatch();
+          return result;
+        }
+        const multi = isolatedClient.multi();
+        for (const ticket of changed) {
+          multi.hSet(key, ticket.id, JSON.stringify(ticket));
+        }
+        await multi.exec();
+        return result;
+      });
+    } catch (err) {
+      if (!(err instanceof WatchError)) throw err;
+    }
+  }
+  throw new Error(`help tickets kept changing; gave up after ${QUEUE_TRANSACTION_ATTEMPTS} attempts.`);
+}
+
+function isUnresolved(ticket) {
+  return ticket.status !== 'resolved';
+}
+
+// the mentor to ping for a team's ticket: one of the team's own mentors if any is still in the
+// pool, otherwise anyone in it, whoever has the fewest unresolved tickets.
+export function pickHelpMentor(team, mentors, tickets) {
+  const ticketLoad = userId => tickets.filter(ticket => isUnresolved(ticket) && (ticket.claimedBy ?? ticket.mentorId) === userId).length;
+  const ownMentors = mentors.filter(mentor => team.mentorIds?.includes(mentor.userId));
+  const candidates = ownMentors.length > 0 ? ownMentors : mentors.filter(mentor => mentor.userId !== team.leaderId && !team.memberIds.includes(mentor.userId));
+  const [mentor] = candidates.sort((a, b) => ticketLoad(a.userId) - ticketLoad(b.userId));
+  return mentor?.userId ?? null;
+}
+
+// opens a ticket for the team; resolves to null when it already has one that isn't resolved.
+export async function openHelpTicket(event, team, requesterId) {
+  const mentors = await listMentors(event);
+  return withHelpTickets(event, tickets => {
+    if (tickets.some(ticket => ticket.teamId === team.id && isUnresolved(ticket))) return null;
+    const ticket = {
+      id: `help-${tickets.length + 1}`,
+      teamId: team.id,
+      threadId: team.threadId,
+      requesterId,
+      mentorId: pickHelpMentor(team, mentors, tickets),
+      status: 'open',
+      createdAt: Date.now(),
+      claimedBy: null,
+      claimedAt: null,
+      resolvedBy: null,
+      resolvedAt: null
+    };
+    tickets.push(ticket);
+    return ticket;
+  });
+}
+
+// moves a ticket on to `status`; resolves to { ticket, error } where error says why it could not.
+export async function updateHelpTicket(event, ticketId, status, userId) {
+  return withHelpTickets(event, tickets => {
+    const ticket = tickets.find(other => other.id === ticketId);
+    if (!ticket) return { ticket: null, error: 'this help request no longer exists.' };
+    if (ticket.status === 'resolved') return { ticket, error: 'this help request was already resolved.' };
+    if (status === 'claimed' && ticket.status === 'claimed') {
+      return { ticket, error: `<@${ticket.claimedBy}> already claimed this help request.` };
+    }
+    const now = Date.now();
+    ticket.status = status;
+    if (status === 'claimed') {
+      ticket.claimedBy = userId;
+      ticket.claimedAt = now;
+    } else {
+      ticket.resolvedBy = userId;
+      ticket.resolvedAt = now;
+    }
+    return { ticket, error: null };
+  });
+}
+
+// resolves whatever help a closed team was still waiting for.
+export async function resolveTeamTickets(event, team, userId) {
+  const resolved = await withHelpTickets(event, tickets => {
+    const open = tickets.filter(ticket => ticket.teamId === team.id && isUnresolved(ticket));
+    for (const ticket of open) {
+      ticket.status = 'resolved';
+      ticket.resolvedBy = userId;
+      ticket.resolvedAt = Date.now();
+    }
+    return open;
+  });
+  if (resolved.length > 0) {
+    await logEvent(`resolved ${resolved.map(ticket => ticket.id).join(', ')} in ${eventRef(event)} as ${team.id} was closed.`, {
+      type: 'help.resolved',
+      actorId: userId,
+      event,
+      payload: { teamId: team.id, ticketIds: resolved.map(ticket => ticket.id) }
+    });
+  }
+}
@@ -0,0 +1,119 @@
+import { clients } from './clients.js';
+import {
+  METRICS,
+  METRICS_BUCKET_MS,
+  METRICS_WAIT_SAMPLES,
+  REDIS_KEY_METRICS_TOTALS,
+  REDIS_KEY_METRICS_HOURLY,
+  REDIS_KEY_METRICS_WAITS
+} from './constants.js';
+import { eventKey } from './events.js';
+
+const SPARK_BLOCKS = ['▁', '▂', '▃', '▄', '▅', '▆', '▇', '█'];
+// charts in the stats embed are at most this many columns wide; longer spans put several hours in a column
+const CHART_COLUMNS = 24;
+
+function hourStart(time) {
+  return time - (time % METRICS_BUCKET_MS);
+}
+
+// counts one occurrence of a metric towards its total and the current hour. the hourly hash gets
+// at most one field per metric an hour, so it is small enough to keep for the life of the event.
+// failures only reach the console: a metric going missing must not fail the handler recording it.
+export async function recordMetric(event, metric) {
+  try {
+    await clients.redis
+      .multi()
+      .hIncrBy(eventKey(event, REDIS_KEY_METRICS_TOTALS), metric, 1)
+      .hIncrBy(eventKey(event, REDIS_KEY_METRICS_HOURLY), `${metric}:${hourStart(Date.now())}`, 1)
+      .exec();
+  } catch (err) {
+    console.error(`error recording metric ${metric}:`, err);
+  }
+}
+
+// how long everyone in a complete match waited between joining the queue and being matched.
+// teammates a leader brought along never queued themselves, so they are left out.
+export async function recordMatchWaits(event, match) {
+  const now = Date.now();
+  const waits = [
+    { at: now, role: 'leader', waitMs: now - match.leader.timestamp },
+    ...match.leader.crew.map(member => ({ at: now, role: 'member', waitMs: now - member.timestamp }))
+  ];
+  try {
+    await clients.redis
+      .multi()
+      .lPush(eventKey(event, REDIS_KEY_METRICS_WAITS), waits.map(wait => JSON.stringify(wait)))
+      .lTrim(eventKey(event, REDIS_KEY_METRICS_WAITS), 0, METRICS_WAIT_SAMPLES - 1)
+      .exec();
+  } catch (err) {
+    console.error('error recording match waits:', err);
+  }
+}
+
+// resolves to { totals: { metric: count }, hourly: { `<metric>:<hour>`: count }, waits: [wait, ...] }
+export async function readMetrics(event) {
+  const [totals, hourly, waitsData] = await Promise.all([
+    clients.redis.hGetAll(eventKey(event, REDIS_KEY_METRICS_TOTALS)),
+    clients.redis.hGetAll(eventKey(event, REDIS_KEY_METRICS_HOURLY)),
+    clients.redis.lRange(eventKey(event, REDIS_KEY_METRICS_WAITS), 0, -1)
+  ]);
+  return {
+    totals: Object.fromEntries(METRICS.map(metric => [metric, Number(totals[metric] ?? 0)])),
+    hourly,
+    waits: waitsData.map(data => JSON.parse(data))
+  };
+}
+
+// { samples, averageMs, medianMs }; the average and median are null without samples.
+export function summarizeWaits(waits) {
+  if (waits.length === 0) return { samples: 0, averageMs: null, medianMs: null };
+  const sorted = waits.map(wait => wait.waitMs).sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return {
+    samples: sorted.length,
+    averageMs: Math.round(sorted.reduce((total, waitMs) => total + waitMs, 0) / sorted.length),
+    medianMs: sorted.length % 2 === 1 ? sorted[middle] : Math.round((sorted[middle - 1] + sorted[middle]) / 2)
+  };
+}
+
+// the columns of a chart covering the last `hours` hours up to now, oldest first:
+// [{ from, to }, ...] with each column spanning the same whole number of hours.
+export function chartColumns(hours, now) {
+  const hoursPerColumn = Math.ceil(hours / CHART_COLUMNS);
+  const count = Math.ceil(hours / hoursPerColumn);
+  const end = hourStart(now) + METRICS_BUCKET_MS;
+  const span = hoursPerColumn * METRICS_BUCKET_MS;
+  return Array.from({ length: count }, (_, index) => {
+    const from = end - (count - index) * span;
+    return { from, to: from + span };
+  });
+}
+
+// how often a metric was recorded in each column.
+export function metricSeries(hourly, metric, columns) {
+  return columns.map(({ from, to }) => {
+    let count = 0;
+    for (let hour = from; hour < to; hour += METRICS_BUCKET_MS) {
+      count += Number(hourly[`${metric}:${hour}`] ?? 0);
+    }
+    return count;
+  });
+}
+
+// the median wait of the users matched in each column, or null for columns nobody was matched in.
+export function waitSeries(waits, columns) {
+  return columns.map(({ from, to }) => summarizeWaits(waits.filter(wait => wait.at >= from && wait.at < to)).medianMs);
+}
+
+// one block character per value, scaled to the largest; nulls show as a dot.
+export function sparkline(values) {
+  const max = Math.max(0, ...values.filter(value => value !== null));
+  return values
+    .map(value => {
+      if (value === null) return '·';
+      if (value === 0 || max === 0) return SPARK_BLOCKS[0];
+      return SPARK_BLOCKS[Math.max(1, Math.round((value / max) * (SPARK_BLOCKS.length - 1)))];
+    })
+    .join('');
+}
@@ -0,0 +1,104 @@
+import { createServer } from 'http';
+import { clients } from './clients.js';
+import { METRICS } from './constants.js';
+import { listEvents } from './events.js';
+import { readQueues } from './store.js';
+import { readMetrics, summarizeWaits } from './metrics.js';
+
+// A small read-only http server for scrapers and dashboards: /metrics in the prometheus text
+// format and /metrics.json with the same numbers, for every event this bot runs. It has no
+// authentication, so it listens on localhost unless told otherwise.
+const METRIC_HELP = {
+  joins: 'users who joined a queue',
+  matches: 'complete teams found by the matcher',
+  role_switches: 'users who switched between leader and member',
+  teams_formed: 'teams whose thread or channels were set up',
+  teams_confirmed: 'teams confirmed at least once',
+  teams_closed: 'teams closed'
+};
+
+// every event's totals, recent waits and current queue sizes.
+export async function collectMetrics() {
+  const events = await listEvents();
+  const snapshot = [];
+  for (const event of events) {
+    const [{ totals, waits }, state] = await Promise.all([readMetrics(event), readQueues(clients.redis, event)]);
+    snapshot.push({
+      guildId: event.guildId,
+      eventId: event.eventId,
+      name: event.name,
+      totals,
+      waits: summarizeWaits(waits),
+      queues: {
+        leaders: state.leaders.length,
+        members: state.members.length,
+        pendingMatches: state.pendingMatches.length,
+        formingMatches: state.formingMatches.length
+      }
+    });
+  }
+  return { generatedAt: Date.now(), events: snapshot };
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+export function formatPrometheus({ events }) {
+  const lines = [];
+  const family = (name, type, help, valueOf) => {
+    lines.push(`# HELP team_finder_${name} ${help}`, `# TYPE team_finder_${name} ${type}`);
+    for (const entry of events) {
+      const value = valueOf(entry);
+      if (value === null) continue;
+      lines.push(`team_finder_${name}{guild="${escapeLabel(entry.guildId)}",event="${escapeLabel(entry.eventId)}"} ${value}`);
+    }
+  };
+  for (const metric of METRICS) {
+    family(`${metric}_total`, 'counter', METRIC_HELP[metric], entry => entry.totals[metric]);
+  }
+  family('wait_average_seconds', 'gauge', 'average wait of recently matched users', entry =>
+    entry.waits.averageMs === null ? null : entry.waits.averageMs / 1000);
+  family('wait_median_seconds', 'gauge', 'median wait of recently matched users', entry =>
+    entry.waits.medianMs === null ? null : entry.waits.medianMs / 1000);
+  family('queued_leaders', 'gauge', 'team leaders waiting in the queue', entry => entry.queues.leaders);
+  family('queued_members', 'gauge', 'team members waiting in the queue', entry => entry.queues.members);
+  family('pending_matches', 'gauge', 'matches waiting for everyone to accept', entry => entry.queues.pendingMatches);
+  return `${lines.join('\n')}\n`;
+}
+
+async function handleMetricsRequest(request, response) {
+  const { pathname } = new URL(request.url, 'http://localhost');
+  if (pathname !== '/metrics' && pathname !== '/metrics.json') {
+    response.writeHead(404, { 'content-type': 'text/plain' }).end('not found\n');
+    return;
+  }
+  if (request.method !== 'GET') {
+    response.writeHead(405, { 'content-type': 'text/plain', allow: 'GET' }).end('method not allowed\n');
+    return;
+  }
+  const snapshot = await collectMetrics();
+  if (pathname === '/metrics.json') {
+    response.writeHead(200, { 'content-type': 'application/json' }).end(JSON.stringify(snapshot));
+  } else {
+    response.writeHead(200, { 'content-type': 'text/plain; version=0.0.4' }).end(formatPrometheus(snapshot));
+  }
+}
+
+// resolves to the listening server once it is bound.
+export function startMetricsServer(port, host = '127.0.0.1') {
+  const server = createServer((request, response) => {
+    handleMetricsRequest(request, response).catch(err => {
+      console.error('error serving metrics:', err);
+      if (!response.headersSent) response.writeHead(500, { 'content-type': 'text/plain' });
+      response.end('error collecting metrics\n');
+    });
+  });
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.off('error', reject);
+      resolve(server);
+    });
+  });
+}
@@ -0,0 +1,67 @@
+import { logEvent } from './log.js';
+
+const ADMIN_USER_ID = process.env.ADMIN_USER_ID;
+
+function parseIdList(value) {
+  if (value === undefined) return null;
+  return value.split(',').map(id => id.trim()).filter(Boolean);
+}
+
+// Organizer users may do everything. Each admin action is otherwise open to the organizer
+// roles, unless PERMISSION_<ACTION>_ROLE_IDS gives that action its own list of roles.
+export const ORGANIZER_USER_IDS = [...(parseIdList(process.env.ORGANIZER_USER_IDS) ?? []), ...(ADMIN_USER_ID ? [ADMIN_USER_ID] : [])];
+export const ORGANIZER_ROLE_IDS = parseIdList(process.env.ORGANIZER_ROLE_IDS) ?? [];
+export const ADMIN_ACTIONS = ['view', 'clear', 'match', 'close', 'remove', 'manage', 'config', 'events', 'audit', 'block'];
+const ACTION_ROLE_IDS = Object.fromEntries(
+  ADMIN_ACTIONS.map(action => [
+    action,
+    parseIdList(process.env[`PERMISSION_${action.toUpperCase()}_ROLE_IDS`]) ?? ORGANIZER_ROLE_IDS
+  ])
+);
+
+export const ADMIN_SUBCOMMAND_ACTIONS = {
+  panel: 'view',
+  list: 'view',
+  teams: 'view',
+  export: 'view',
+  stats: 'view',
+  clear: 'clear',
+  match: 'match',
+  remove: 'remove',
+  add: 'manage',
+  move: 'manage',
+  create: 'manage',
+  mentor: 'manage',
+  help: 'view',
+  config: 'config',
+  event: 'events',
+  audit: 'audit',
+  block: 'block'
+};
+
+function memberRoleIds(interaction) {
+  const roles = interaction.member?.roles;
+  if (!roles) return [];
+  // cached guild members expose a role manager, uncached ones a plain array of ids
+  return Array.isArray(roles) ? roles : [...roles.cache.keys()];
+}
+
+export function hasPermission(interaction, action) {
+  if (ORGANIZER_USER_IDS.includes(interaction.user.id)) return true;
+  const allowedRoles = ACTION_ROLE_IDS[action] ?? [];
+  return memberRoleIds(interaction).some(roleId => allowedRoles.includes(roleId));
+}
+
+// replies with a refusal and returns false when the user may not perform the action.
+export async function requirePermission(interaction, action) {
+  if (hasPermission(interaction, action)) return true;
+  await interaction.reply({ content: 'you are not authorized to do that.', ephemeral: true });
+  await logEvent(`user ${interaction.user.id} was denied permission for ${action}.`, {
+    level: 'warn',
+    type: 'permission.denied',
+    actorId: interaction.user.id,
+    guildId: interaction.guildId,
+    payload: { action }
+  });
+  return false;
+}
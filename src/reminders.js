@@ -0,0 +1,118 @@
+import {
+  ButtonBuilder,
+  ActionRowBuilder,
+  ButtonStyle,
+  EmbedBuilder
+} from 'discord.js';
+import { clients } from './clients.js';
+import { logEvent } from './log.js';
+import { eventRef, listEvents } from './events.js';
+import { readQueues, withQueues, removeFromQueues } from './store.js';
+import { getConfig } from './settings.js';
+import { isGuildMember } from './members.js';
+import { tryMatching, sendPrompt, notifyUser, notifyMatchCancelled } from './matcher.js';
+
+export async function sweepQueues() {
+  for (const event of await listEvents()) {
+    try {
+      await sweepQueue(event);
+    } catch (err) {
+      await logEvent(`error sweeping queues in ${eventRef(event)}: ${err.message}`, { level: 'error', type: 'queue.sweep', event });
+    }
+  }
+}
+
+// asks people who have been waiting a while whether they are still around, and removes those
+// who never answered or have left the server.
+async function sweepQueue(event) {
+  const config = await getConfig(event);
+  if (config.reminderMinutes === 0) return;
+  const reminderMs = config.reminderMinutes * 60 * 1000;
+  const responseMs = config.reminderResponseMinutes * 60 * 1000;
+  const isReminderDue = (entry, now) => !entry.remindedAt && now - (entry.lastActiveAt ?? entry.timestamp) >= reminderMs;
+  // leaders recruiting replacements already have a team and are not asked to keep their spot
+  const waiting = state => [...state.leaders.filter(entry => !entry.threadId), ...state.members];
+  // people who left while the bot was offline never fired guildMemberRemove, so check the
+  // ones about to be reminded
+  const departed = [];
+  for (const entry of waiting(await readQueues(clients.redis, event))) {
+    if (isReminderDue(entry, Date.now()) && !(await isGuildMember(event.guildId, entry.userId))) {
+      departed.push(entry.userId);
+    }
+  }
+  const outcome = await withQueues(event, state => {
+    const now = Date.now();
+    const removed = [];
+    const reminded = [];
+    for (const userId of departed) {
+      if (removeFromQueues(state, userId).status !== 'none') removed.push({ userId, reason: 'departed' });
+    }
+    for (const entry of waiting(state)) {
+      if (entry.remindedAt && now - entry.remindedAt >= responseMs) {
+        removeFromQueues(state, entry.userId);
+        removed.push({ userId: entry.userId, reason: 'unanswered' });
+      } else if (isReminderDue(entry, now)) {
+        entry.remindedAt = now;
+        reminded.push(entry.userId);
+      }
+    }
+    return { removed, reminded };
+  });
+  for (const userId of outcome.reminded) {
+    await sendQueueReminder(event, userId, config);
+    await logEvent(`sent a queue reminder to ${userId} in ${eventRef(event)}.`, { type: 'queue.reminded', userId, event });
+  }
+  if (outcome.removed.length === 0) return;
+  for (const { userId, reason } of outcome.removed) {
+    if (reason === 'unanswered') {
+      await notifyUser(userId, `you did not answer the reminder, so you have been removed from the ${event.name} queue. you can rejoin from the lobby at any time.`);
+    }
+    await logEvent(
+      `cleaned up stale queue entry ${userId} in ${eventRef(event)} (${reason === 'departed' ? 'left the server' : 'no answer'}).`,
+      { type: 'queue.expired', userId, event, payload: { reason } }
+    );
+  }
+  await tryMatching(event);
+}
+
+async function sendQueueReminder(event, userId, config) {
+  const embed = new EmbedBuilder()
+    .setTitle('still looking for a team?')
+    .setDescription(
+      `you have been waiting in the **${event.name}** queue for a while. let us know you are still around ` +
+      `within **${config.reminderResponseMinutes}** minute(s) to keep your spot, or you will be removed from the queue.`
+    )
+    .setColor(0x2e2f33)
+    .setTimestamp(new Date());
+  const stayButton = new ButtonBuilder()
+    .setCustomId(`queue_stay:${eventRef(event)}`)
+    .setLabel('keep my spot')
+    .setStyle(ButtonStyle.Success);
+  const leaveButton = new ButtonBuilder()
+    .setCustomId(`queue_leave:${eventRef(event)}`)
+    .setLabel('leave queue')
+    .setStyle(ButtonStyle.Secondary);
+  const row = new ActionRowBuilder().addComponents(stayButton, leaveButton);
+  await sendPrompt(event, userId, { embeds: [embed], components: [row] });
+}
+
+export async function removeDepartedMember(member) {
+  try {
+    for (const event of await listEvents(member.guild.id)) {
+      const outcome = await withQueues(event, state => removeFromQueues(state, member.id));
+      if (outcome.status === 'none') continue;
+      if (outcome.status === 'pending') {
+        await notifyMatchCancelled(event, outcome.match, [member.id]);
+      }
+      await logEvent(`user ${member.id} left the server; removed them from ${eventRef(event)} (was ${outcome.status}).`, {
+        type: 'queue.departed',
+        userId: member.id,
+        event,
+        payload: { was: outcome.status }
+      });
+      await tryMatching(event);
+    }
+  } catch (err) {
+    console.error('error removing departed member from the queues:', err);
+  }
+}
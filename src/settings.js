@@ -0,0 +1,166 @@
+import { ThreadAutoArchiveDuration } from 'discord.js';
+import { clients } from './clients.js';
+import { MAX_CONFIGURABLE_TEAM_SIZE, REDIS_KEY_CONFIG, TEAM_SPACES } from './constants.js';
+import { eventKey } from './events.js';
+
+// Runtime settings, stored per event as raw strings in a redis hash and parsed on every read so
+// that all bot processes see a change immediately. parse throws with a user-facing
+// message when a value is invalid.
+export const CONFIG_SETTINGS = {
+  maxTeamSize: {
+    description: `largest team size, leader included (2-${MAX_CONFIGURABLE_TEAM_SIZE})`,
+    default: '4',
+    parse: raw => parseIntegerSetting(raw, 2, MAX_CONFIGURABLE_TEAM_SIZE)
+  },
+  neededOptions: {
+    description: 'comma-separated choices leaders get for how many members they still need',
+    default: '1,2',
+    parse: raw => {
+      const options = raw.split(',').map(value => parseIntegerSetting(value.trim(), 1, MAX_CONFIGURABLE_TEAM_SIZE - 1));
+      return [...new Set(options)].sort((a, b) => a - b);
+    }
+  },
+  mentorsPerTeam: {
+    description: 'mentors from the mentor pool assigned to each new team (0-2)',
+    default: '1',
+    parse: raw => parseIntegerSetting(raw, 0, 2)
+  },
+  threadArchiveMinutes: {
+    description: 'minutes of inactivity before team threads auto-archive (60, 1440, 4320 or 10080)',
+    default: String(ThreadAutoArchiveDuration.OneHour),
+    parse: raw => {
+      const minutes = parseIntegerSetting(raw, 60, 10080);
+      if (!Object.values(ThreadAutoArchiveDuration).includes(minutes)) {
+        throw new Error('must be one of 60, 1440, 4320 or 10080.');
+      }
+      return minutes;
+    }
+  },
+  teamSpace: {
+    description: `where teams talk: ${TEAM_SPACES.join(', ')} (channels are private to the team)`,
+    default: 'public_thread',
+    parse: raw => {
+      if (!TEAM_SPACES.includes(raw)) throw new Error(`must be one of ${TEAM_SPACES.join(', ')}.`);
+      return raw;
+    }
+  },
+  teamCategoryId: {
+    description: 'category team channels are created in, or "none" for the lobby\'s category',
+    default: 'none',
+    parse: raw => parseIdSetting(raw, 'a category id')
+  },
+  teamRoles: {
+    description: 'give every team a role of its own, assigned to its members (on or off)',
+    default: 'off',
+    parse: raw => {
+      if (raw !== 'on' && raw !== 'off') throw new Error('must be on or off.');
+      return raw === 'on';
+    }
+  },
+  lobbyTitle: {
+    description: 'title of the lobby message',
+    default: 'reverse coding: team finder',
+    parse: raw => parseTextSetting(raw, 256)
+  },
+  lobbyDescription: {
+    description: 'intro text of the lobby message (use \\n for new lines)',
+    default: 'welcome!\\n\\nchoose an option and fill in a quick profile so we can build balanced teams:',
+    parse: raw => parseTextSetting(raw.replaceAll('\\n', '\n'), 3500)
+  },
+  reminderMinutes: {
+    description: 'minutes of waiting before a queued user is asked whether they are still around (0 turns this off)',
+    default: '120',
+    parse: raw => parseIntegerSetting(raw, 0, 10080)
+  },
+  reminderResponseMinutes: {
+    description: 'minutes a reminded user has to answer before they are removed from the queue',
+    default: '30',
+    parse: raw => parseIntegerSetting(raw, 5, 1440)
+  },
+  bannerUrl: {
+    description: 'image shown on the lobby message and team panels',
+    default: 'https://cdn.discordapp.com/attachments/1336118454591160430/1336843175767310397/image.png',
+    parse: raw => {
+      let url;
+      try {
+        url = new URL(raw);
+      } catch (err) {
+        throw new Error('must be a valid url.');
+      }
+      if (url.protocol !== 'https:' && url.protocol !== 'http:') throw new Error('must be an http(s) url.');
+      return raw;
+    }
+  }
+};
+
+function parseIntegerSetting(raw, min, max) {
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new Error(`must be a whole number between ${min} and ${max}.`);
+  }
+  return value;
+}
+
+function parseIdSetting(raw, kind) {
+  if (raw === 'none') return null;
+  if (!/^\d{17,20}$/.test(raw)) throw new Error(`must be ${kind} or "none".`);
+  return raw;
+}
+
+function parseTextSetting(raw, maxLength) {
+  const text = raw.trim();
+  if (!text) throw new Error('cannot be empty.');
+  if (text.length > maxLength) throw new Error(`must be at most ${maxLength} characters.`);
+  return text;
+}
+
+function parseConfig(rawValues) {
+  const config = {};
+  for (const [key, setting] of Object.entries(CONFIG_SETTINGS)) {
+    try {
+      config[key] = setting.parse(rawValues[key] ?? setting.default);
+    } catch (err) {
+      console.error(`ignoring invalid stored value for ${key}:`, err.message);
+      config[key] = setting.parse(setting.default);
+    }
+  }
+  return config;
+}
+
+// settings that only make sense together; returns a problem description or null.
+function configConflict(config) {
+  const largestNeeded = Math.max(...config.neededOptions);
+  if (largestNeeded > config.maxTeamSize - 1) {
+    return `neededOptions cannot ask for ${largestNeeded} members when maxTeamSize is ${config.maxTeamSize}.`;
+  }
+  return null;
+}
+
+export async function getConfig(event) {
+  return parseConfig(await clients.redis.hGetAll(eventKey(event, REDIS_KEY_CONFIG)));
+}
+
+// validates and stores a raw setting; resolves to an error message, or null on success.
+export async function setConfigValue(event, key, raw) {
+  const setting = CONFIG_SETTINGS[key];
+  if (!setting) return `unknown setting ${key}.`;
+  try {
+    setting.parse(raw);
+  } catch (err) {
+    return `${key} ${err.message}`;
+  }
+  const rawValues = await clients.redis.hGetAll(eventKey(event, REDIS_KEY_CONFIG));
+  const conflict = configConflict(parseConfig({ ...rawValues, [key]: raw }));
+  if (conflict) return conflict;
+  await clients.redis.hSet(eventKey(event, REDIS_KEY_CONFIG), key, raw);
+  return null;
+}
+
+export async function resetConfigValue(event, key) {
+  const rawValues = await clients.redis.hGetAll(eventKey(event, REDIS_KEY_CONFIG));
+  delete rawValues[key];
+  const conflict = configConflict(parseConfig(rawValues));
+  if (conflict) return conflict;
+  await clients.redis.hDel(eventKey(event, REDIS_KEY_CONFIG), key);
+  return null;
+}
@@ -0,0 +1,379 @@
+import { randomUUID } from 'crypto';
+import { WatchError } from 'redis';
+import { clients } from './clients.js';
+import {
+  USER_LOCK_MS,
+  PROFILE_DRAFT_TTL_SECONDS,
+  QUEUE_TRANSACTION_ATTEMPTS,
+  REDIS_KEY_LEADER_QUEUE,
+  REDIS_KEY_LEADER_ENTRIES,
+  REDIS_KEY_MEMBER_QUEUE,
+  REDIS_KEY_MEMBER_ENTRIES,
+  REDIS_KEY_PENDING_MATCHES,
+  REDIS_KEY_FORMING_MATCHES,
+  QUEUE_KEYS,
+  LEGACY_KEY_TEAM_LEADERS,
+  LEGACY_KEY_TEAM_MEMBERS,
+  LEGACY_KEY_PENDING_MATCHES,
+  REDIS_KEY_PROFILE_DRAFT_PREFIX,
+  REDIS_KEY_USER_LOCK_PREFIX
+} from './constants.js';
+import { logEvent } from './log.js';
+import { eventRef, eventKey, listEvents, migrateUnscopedKeys, ensureDefaultEvent } from './events.js';
+import { scheduleLobbyRefresh } from './lobby.js';
+
+// Queue state, as handed to withQueues:
+// { leaders: [leader, ...], members: [member, ...], pendingMatches: [match, ...], formingMatches: [match, ...] },
+// both queues oldest first.
+// Each team leader: { userId, additionalNeeded, teammates: [userId, ...], crew: [{ userId, timestamp, tags }, ...], timestamp, tags }
+// teammates are people the leader brought along; crew are members recruited from the queue.
+// A leader entry with a threadId is recruiting replacements for a team that already has a
+// thread. It has no teammates of its own: the members still on that team are in the team
+// registry, which stays the only record of who is on it.
+// Each team member: { userId, timestamp, tags }
+// Leaders and members waiting in a queue may also carry lastActiveAt (when they last confirmed
+// they are still around; timestamp until then) and remindedAt (when they were asked to).
+// tags: { languages: [string], experience: string | null, timezone: string | null }
+// Each pending match: { id, leader, responses: { [userId]: 'accepted' }, expiresAt }
+// A pending match holds a full leader entry that has left the queue while everyone accepts.
+// Once everyone has, it moves to the forming matches, a journal of teams whose thread is still
+// being set up, and gains completedAt, attempts and leaseUntil (until when the process that
+// claimed it may work on it undisturbed). It leaves the journal once the thread is ready.
+export async function readQueues(connection, event) {
+  const [leaderIds, leaderEntries, memberIds, memberEntries, pendingEntries, formingEntries] = await Promise.all([
+    connection.zRange(eventKey(event, REDIS_KEY_LEADER_QUEUE), 0, -1),
+    connection.hGetAll(eventKey(event, REDIS_KEY_LEADER_ENTRIES)),
+    connection.zRange(eventKey(event, REDIS_KEY_MEMBER_QUEUE), 0, -1),
+    connection.hGetAll(eventKey(event, REDIS_KEY_MEMBER_ENTRIES)),
+    connection.hGetAll(eventKey(event, REDIS_KEY_PENDING_MATCHES)),
+    connection.hGetAll(eventKey(event, REDIS_KEY_FORMING_MATCHES))
+  ]);
+  return {
+    leaders: leaderIds.filter(id => leaderEntries[id]).map(id => JSON.parse(leaderEntries[id])),
+    members: memberIds.filter(id => memberEntries[id]).map(id => JSON.parse(memberEntries[id])),
+    pendingMatches: Object.values(pendingEntries).map(data => JSON.parse(data)),
+    formingMatches: Object.values(formingEntries).map(data => JSON.parse(data))
+  };
+}
+
+// queues only the writes needed to turn `before` into `after` for one sorted set + hash pair.
+function writeEntryChanges(multi, queueKey, entriesKey, before, after) {
+  const previous = new Map(before.map(entry => [entry.userId, JSON.stringify(entry)]));
+  let changed = false;
+  for (const entry of after) {
+    const serialized = JSON.stringify(entry);
+    if (previous.get(entry.userId) !== serialized) {
+      multi.zAdd(queueKey, { score: entry.timestamp, value: entry.userId });
+      multi.hSet(entriesKey, entry.userId, serialized);
+      changed = true;
+    }
+    previous.delete(entry.userId);
+  }
+  for (const userId of previous.keys()) {
+    multi.zRem(queueKey, userId);
+    multi.hDel(entriesKey, userId);
+    changed = true;
+  }
+  return changed;
+}
+
+function writeMatchChanges(multi, matchesKey, before, after) {
+  const previous = new Map(before.map(match => [match.id, JSON.stringify(match)]));
+  let changed = false;
+  for (const match of after) {
+    const serialized = JSON.stringify(match);
+    if (previous.get(match.id) !== serialized) {
+      multi.hSet(matchesKey, match.id, serialized);
+      changed = true;
+    }
+    previous.delete(match.id);
+  }
+  for (const matchId of previous.keys()) {
+    multi.hDel(matchesKey, matchId);
+    changed = true;
+  }
+  return changed;
+}
+
+// runs `mutate` against a fresh copy of an event's queues and commits whatever it changed in a
+// single MULTI/EXEC. the queue keys are WATCHed, so if another handler (or another bot
+// process) changes them first, the commit is thrown away and `mutate` runs again on the
+// new state. `mutate` must be synchronous and free of side effects for that reason:
+// return what happened and act on it once this resolves.
+export async function withQueues(event, mutate) {
+  for (let attempt = 1; attempt <= QUEUE_TRANSACTION_ATTEMPTS; attempt++) {
+    try {
+      const { result, changed } = await clients.redis.executeIsolated(async (isolatedClient) => {
+        await isolatedClient.watch(QUEUE_KEYS.map(key => eventKey(event, key)));
+        const state = await readQueues(isolatedClient, event);
+        const before = structuredClone(state);
+        const result = mutate(state);
+        const multi = isolatedClient.multi();
+        const leadersChanged = writeEntryChanges(
+          multi,
+          eventKey(event, REDIS_KEY_LEADER_QUEUE),
+          eventKey(event, REDIS_KEY_LEADER_ENTRIES),
+          before.leaders,
+          state.leaders
+        );
+        const membersChanged = writeEntryChanges(
+          multi,
+          eventKey(event, REDIS_KEY_MEMBER_QUEUE),
+          eventKey(event, REDIS_KEY_MEMBER_ENTRIES),
+          before.members,
+          state.members
+        );
+        const pendingChanged = writeMatchChanges(
+          multi, eventKey(event, REDIS_KEY_PENDING_MATCHES), before.pendingMatches, state.pendingMatches
+        );
+        const formingChanged = writeMatchChanges(
+          multi, eventKey(event, REDIS_KEY_FORMING_MATCHES), before.formingMatches, state.formingMatches
+        );
+        const changed = leadersChanged || membersChanged || pendingChanged || formingChanged;
+        if (changed) {
+          await multi.exec();
+        } else {
+          await isolatedClient.unwatch();
+        }
+        return { result, changed };
+      });
+      if (changed) {
+        await logEvent(`queues for ${eventRef(event)} updated in redis.`, { level: 'debug', type: 'queue.write', event });
+        scheduleLobbyRefresh(event);
+      }
+      return result;
+    } catch (err) {
+      if (!(err instanceof WatchError)) throw err;
+    }
+  }
+  throw new Error(`queues kept changing; gave up after ${QUEUE_TRANSACTION_ATTEMPTS} attempts.`);
+}
+
+// earlier versions kept each queue as one json array under a single key; move those
+// entries into the new structures once and drop the old keys.
+async function migrateLegacyQueues(event) {
+  const legacyKeys = [LEGACY_KEY_TEAM_LEADERS, LEGACY_KEY_TEAM_MEMBERS, LEGACY_KEY_PENDING_MATCHES].map(key =>
+    eventKey(event, key)
+  );
+  const [leadersData, membersData, pendingData] = await Promise.all(legacyKeys.map(key => clients.redis.get(key)));
+  if (!leadersData && !membersData && !pendingData) return;
+  const leaders = leadersData ? JSON.parse(leadersData) : [];
+  const members = membersData ? JSON.parse(membersData) : [];
+  const pendingMatches = pendingData ? JSON.parse(pendingData) : [];
+  for (const leader of leaders) {
+    leader.teammates ??= [];
+    // the oldest snapshots stored crew as bare user ids
+    leader.crew = leader.crew.map(member =>
+      typeof member === 'string' ? { userId: member, timestamp: leader.timestamp } : member
+    );
+  }
+  await withQueues(event, state => {
+    for (const leader of leaders) {
+      if (!state.leaders.some(entry => entry.userId === leader.userId)) insertByTimestamp(state.leaders, leader);
+    }
+    for (const member of members) {
+      if (!state.members.some(entry => entry.userId === member.userId)) insertByTimestamp(state.members, member);
+    }
+    for (const match of pendingMatches) {
+      if (!state.pendingMatches.some(other => other.id === match.id)) state.pendingMatches.push(match);
+    }
+  });
+  await clients.redis.del(legacyKeys);
+  await logEvent(
+    `migrated legacy queues into ${eventRef(event)}: ${leaders.length} team leader(s), ${members.length} team member(s), ${pendingMatches.length} pending match(es).`,
+    { type: 'system', event }
+  );
+}
+
+export async function loadQueues() {
+  try {
+    const defaultEvent = await ensureDefaultEvent();
+    if (defaultEvent) {
+      await migrateUnscopedKeys(defaultEvent);
+      await migrateLegacyQueues(defaultEvent);
+    }
+    for (const event of await listEvents()) {
+      const { leaders, members, pendingMatches, formingMatches } = await readQueues(clients.redis, event);
+      await logEvent(
+        `loaded queues for ${eventRef(event)}: ${leaders.length} team leader(s), ${members.length} team member(s), ` +
+          `${pendingMatches.length} pending match(es), ${formingMatches.length} team(s) being formed.`,
+        { type: 'system', event }
+      );
+    }
+  } catch (err) {
+    console.error('error loading queues from redis:', err);
+  }
+}
+
+// Per-user lock so a user's double clicks (possibly landing on different bot processes)
+// are handled one at a time. Returns a token to release it with, or null if it's held.
+export async function acquireUserLock(userId) {
+  const token = randomUUID();
+  const acquired = await clients.redis.set(`${REDIS_KEY_USER_LOCK_PREFIX}${userId}`, token, {
+    NX: true,
+    PX: USER_LOCK_MS
+  });
+  return acquired ? token : null;
+}
+
+export async function releaseUserLock(userId, token) {
+  // only delete the lock if it is still ours; it may have expired and been taken by someone else
+  await clients.redis.eval(
+    "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end",
+    { keys: [`${REDIS_KEY_USER_LOCK_PREFIX}${userId}`], arguments: [token] }
+  );
+}
+
+// Profiles being filled in before the user actually enters a queue, stored per event and user with a ttl.
+// { role: 'member' | 'leader', additionalNeeded, teammates, tags, notice }
+export async function getDraft(event, userId) {
+  const draftData = await clients.redis.get(eventKey(event, `${REDIS_KEY_PROFILE_DRAFT_PREFIX}${userId}`));
+  return draftData ? JSON.parse(draftData) : null;
+}
+
+export async function saveDraft(event, userId, draft) {
+  await clients.redis.set(eventKey(event, `${REDIS_KEY_PROFILE_DRAFT_PREFIX}${userId}`), JSON.stringify(draft), {
+    EX: PROFILE_DRAFT_TTL_SECONDS
+  });
+}
+
+export async function deleteDraft(event, userId) {
+  await clients.redis.del(eventKey(event, `${REDIS_KEY_PROFILE_DRAFT_PREFIX}${userId}`));
+}
+
+// everyone on a leader's team besides the leader and their crew. `rosters` maps thread ids to
+// team member ids (see loadRosters), read before the transaction this is used in.
+export function teammatesOf(leader, rosters) {
+  return leader.threadId ? rosters.get(leader.threadId) ?? [] : leader.teammates;
+}
+
+export function findTeammateLeader(state, userId) {
+  return state.leaders.find(leader => leader.teammates.includes(userId));
+}
+
+function isInMatch(match, userId) {
+  return (
+    match.leader.userId === userId ||
+    match.leader.teammates.includes(userId) ||
+    match.leader.crew.some(member => member.userId === userId)
+  );
+}
+
+export function findPendingMatch(state, userId) {
+  return state.pendingMatches.find(match => isInMatch(match, userId));
+}
+
+export function findFormingMatch(state, userId) {
+  return state.formingMatches.find(match => isInMatch(match, userId));
+}
+
+// takes a user out of wherever they are in the queues. leaders have their crew released,
+// and teams that lose a crew member or teammate go back to needing one more.
+export function removeFromQueues(state, userId) {
+  const pendingMatch = findPendingMatch(state, userId);
+  if (pendingMatch) {
+    returnMatchToQueues(state, pendingMatch, [userId]);
+    return { status: 'pending', match: pendingMatch };
+  }
+  const leaderEntry = state.leaders.find(entry => entry.userId === userId);
+  if (leaderEntry) {
+    const released = releaseCrew(state, leaderEntry);
+    state.leaders = state.leaders.filter(entry => entry.userId !== userId);
+    return { status: 'leader', released };
+  }
+  const memberIndex = state.members.findIndex(entry => entry.userId === userId);
+  if (memberIndex !== -1) {
+    state.members.splice(memberIndex, 1);
+    return { status: 'member' };
+  }
+  const teammateLeader = findTeammateLeader(state, userId);
+  if (teammateLeader) {
+    teammateLeader.teammates = teammateLeader.teammates.filter(id => id !== userId);
+    teammateLeader.additionalNeeded++;
+    return { status: 'teammate', leaderId: teammateLeader.userId };
+  }
+  const crewLeader = findCrewLeader(state, userId);
+  if (crewLeader) {
+    crewLeader.crew = crewLeader.crew.filter(member => member.userId !== userId);
+    crewLeader.additionalNeeded++;
+    return { status: 'crew', leaderId: crewLeader.userId };
+  }
+  return { status: 'none' };
+}
+
+export function isInQueues(state, userId) {
+  return Boolean(
+    state.leaders.some(entry => entry.userId === userId) ||
+    state.members.some(entry => entry.userId === userId) ||
+    findCrewLeader(state, userId) ||
+    findTeammateLeader(state, userId) ||
+    findPendingMatch(state, userId) ||
+    findFormingMatch(state, userId)
+  );
+}
+
+// inserts an entry back into a queue at the position its timestamp earned it.
+export function insertByTimestamp(queue, entry) {
+  const index = queue.findIndex(other => other.timestamp > entry.timestamp);
+  if (index === -1) {
+    queue.push(entry);
+  } else {
+    queue.splice(index, 0, entry);
+  }
+}
+
+// returns why a user can't be named as one of the leader's teammates, or null if they can.
+export function teammateConflict(state, userId, leaderId) {
+  if (userId === leaderId) return 'you cannot add yourself';
+  if (state.leaders.some(entry => entry.userId === userId)) return 'is leading their own team';
+  if (findPendingMatch(state, userId)) return 'is already on another team';
+  const otherTeam = findCrewLeader(state, userId) || findTeammateLeader(state, userId);
+  if (otherTeam && otherTeam.userId !== leaderId) return 'is already on another team';
+  return null;
+}
+
+export function emptyTags() {
+  return { languages: [], experience: null, timezone: null };
+}
+
+export function findCrewLeader(state, userId) {
+  return state.leaders.find(leader => leader.crew.some(member => member.userId === userId));
+}
+
+// puts a leader's partially recruited crew back into the member queue with their original
+// timestamps, which lands them at the front since they joined before everyone still waiting.
+export function releaseCrew(state, leader) {
+  const released = [...leader.crew];
+  for (const member of released) {
+    insertByTimestamp(state.members, member);
+  }
+  leader.additionalNeeded += released.length;
+  leader.crew = [];
+  return released;
+}
+
+// drops the given users from a pending (or forming) match and returns everybody else to the
+// queues at their original position. teammates of a dropped leader wait as members in their
+// place; a team recruiting replacements keeps searching even when its leader is dropped.
+export function returnMatchToQueues(state, match, droppedIds) {
+  state.pendingMatches = state.pendingMatches.filter(other => other.id !== match.id);
+  state.formingMatches = state.formingMatches.filter(other => other.id !== match.id);
+  const { leader } = match;
+  for (const member of leader.crew) {
+    if (droppedIds.includes(member.userId)) continue;
+    insertByTimestamp(state.members, member);
+  }
+  const keptTeammates = leader.teammates.filter(id => !droppedIds.includes(id));
+  if (droppedIds.includes(leader.userId) && !leader.threadId) {
+    for (const userId of keptTeammates) {
+      insertByTimestamp(state.members, { userId, timestamp: leader.timestamp, tags: emptyTags() });
+    }
+    return;
+  }
+  insertByTimestamp(state.leaders, {
+    ...leader,
+    additionalNeeded: leader.additionalNeeded + leader.crew.length + leader.teammates.length - keptTeammates.length,
+    teammates: keptTeammates,
+    crew: []
+  });
+}
@@ -0,0 +1,127 @@
+import { WatchError } from 'redis';
+import { clients } from './clients.js';
+import { QUEUE_TRANSACTION_ATTEMPTS, REDIS_KEY_TEAM_SEQUENCE, REDIS_KEY_TEAMS, REDIS_KEY_TEAMS_BY_THREAD } from './constants.js';
+import { logEvent } from './log.js';
+import { eventRef, eventKey } from './events.js';
+import { emptyTags } from './store.js';
+import { scheduleLobbyRefresh } from './lobby.js';
+import { recordMetric } from './metrics.js';
+
+// Team registry: every team the bot has formed for an event, kept after it leaves the queues.
+// Each team: { id, leaderId, leaderTags, memberIds: [userId, ...], mentorIds: [userId, ...], threadId, voiceChannelId,
+// roleId, status, createdAt, confirmedAt, closedAt }. threadId is the team's text channel when it has channels instead of a thread.
+// confirmedAt is when the team was first confirmed; it is kept when losing a member sends the team back to forming.
+export async function registerTeam(event, leader, threadId, { voiceChannelId = null } = {}) {
+  const sequence = await clients.redis.incr(eventKey(event, REDIS_KEY_TEAM_SEQUENCE));
+  const team = {
+    id: `team-${sequence}`,
+    leaderId: leader.userId,
+    leaderTags: leader.tags ?? emptyTags(),
+    memberIds: [...leader.teammates, ...leader.crew.map(member => member.userId)],
+    mentorIds: [],
+    threadId,
+    voiceChannelId,
+    roleId: null,
+    status: 'forming',
+    createdAt: Date.now(),
+    confirmedAt: null,
+    closedAt: null
+  };
+  await clients.redis.hSet(eventKey(event, REDIS_KEY_TEAMS), team.id, JSON.stringify(team));
+  await clients.redis.hSet(eventKey(event, REDIS_KEY_TEAMS_BY_THREAD), threadId, team.id);
+  await logEvent(`registered ${team.id} in ${eventRef(event)} for team leader ${leader.userId} in thread ${threadId}.`, {
+    type: 'team.registered',
+    userId: leader.userId,
+    event,
+    payload: team
+  });
+  await recordMetric(event, 'teams_formed');
+  scheduleLobbyRefresh(event);
+  return team;
+}
+
+export async function getTeamByThread(event, threadId) {
+  const teamId = await clients.redis.hGet(eventKey(event, REDIS_KEY_TEAMS_BY_THREAD), threadId);
+  if (!teamId) return null;
+  const teamData = await clients.redis.hGet(eventKey(event, REDIS_KEY_TEAMS), teamId);
+  return teamData ? JSON.parse(teamData) : null;
+}
+
+export async function listTeams(event) {
+  const teamsData = await clients.redis.hVals(eventKey(event, REDIS_KEY_TEAMS));
+  return teamsData.map(data => JSON.parse(data)).sort((a, b) => a.createdAt - b.createdAt);
+}
+
+// every registered team's member ids by its thread, for the teammatesOf checks inside queue transactions.
+export async function loadRosters(event) {
+  const teams = await listTeams(event);
+  return new Map(teams.map(team => [team.threadId, team.memberIds]));
+}
+
+export async function saveTeam(event, team) {
+  await clients.redis.hSet(eventKey(event, REDIS_KEY_TEAMS), team.id, JSON.stringify(team));
+}
+
+// runs `mutate` against a registered team and saves it; resolves to { team, result }, or null
+// when there is no such team. like withQueues, the registry is WATCHed and `mutate` runs again
+// if another handler changed it first, so it must be synchronous and free of side effects.
+export async function updateTeam(event, teamId, mutate) {
+  const key = eventKey(event, REDIS_KEY_TEAMS);
+  for (let attempt = 1; attempt <= QUEUE_TRANSACTION_ATTEMPTS; attempt++) {
+    try {
+      return await clients.redis.executeIsolated(async (isolatedClient) => {
+        await isolatedClient.watch(key);
+        const teamData = await isolatedClient.hGet(key, teamId);
+        if (!teamData) {
+          await isolatedClient.unwatch();
+          return null;
+        }
+        const team = JSON.parse(teamData);
+        const result = mutate(team);
+        await isolatedClient.multi().hSet(key, teamId, JSON.stringify(team)).exec();
+        return { team, result };
+      });
+    } catch (err) {
+      if (!(err instanceof WatchError)) throw err;
+    }
+  }
+  throw new Error(`${teamId} kept changing; gave up after ${QUEUE_TRANSACTION_ATTEMPTS} attempts.`);
+}
+
+// a team is only counted as confirmed the first time and as closed once, however often its
+// status changes in between.
+export async function setTeamStatus(event, threadId, status) {
+  try {
+    const teamId = await clients.redis.hGet(eventKey(event, REDIS_KEY_TEAMS_BY_THREAD), threadId);
+    if (!teamId) return null;
+    const now = Date.now();
+    const updated = await updateTeam(event, teamId, team => {
+      const previous = team.status;
+      team.status = status;
+      if (status === 'confirmed' && !team.confirmedAt) {
+        team.confirmedAt = now;
+        return true;
+      }
+      if (status === 'closed' && previous !== 'closed') {
+        team.closedAt = now;
+        return true;
+      }
+      return false;
+    });
+    if (!updated) return null;
+    const { team, result: firstTime } = updated;
+    await logEvent(`${team.id} in ${eventRef(event)} marked as ${status}.`, {
+      type: 'team.status',
+      userId: team.leaderId,
+      event,
+      payload: { teamId: team.id, status }
+    });
+    if (firstTime) {
+      await recordMetric(event, `teams_${status}`);
+    }
+    return team;
+  } catch (err) {
+    console.error('error updating team registry:', err);
+    return null;
+  }
+}
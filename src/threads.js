@@ -0,0 +1,547 @@
+import {
+  ButtonBuilder,
+  ActionRowBuilder,
+  ButtonStyle,
+  EmbedBuilder,
+  ChannelType,
+  OverwriteType,
+  PermissionFlagsBits
+} from 'discord.js';
+import { clients } from './clients.js';
+import { FORMATION_ATTEMPTS, FORMATION_RETRY_MS, FORMATION_LEASE_MS } from './constants.js';
+import { logEvent } from './log.js';
+import { eventRef, mapTeamChannel, unmapTeamChannel } from './events.js';
+import {
+  readQueues,
+  withQueues,
+  isInQueues,
+  insertByTimestamp,
+  emptyTags,
+  releaseCrew,
+  returnMatchToQueues
+} from './store.js';
+import { getConfig } from './settings.js';
+import { registerTeam, getTeamByThread, listTeams, saveTeam, updateTeam } from './teams.js';
+import { getMemberNames } from './members.js';
+import { assignMentors } from './mentors.js';
+import { tryMatching, matchParticipants, notifyUser, notifyMatchCancelled } from './matcher.js';
+
+// what team members, their mentors and the team role may do in a team's own channels
+const TEAM_CHANNEL_PERMISSIONS = { ViewChannel: true, SendMessages: true, ReadMessageHistory: true, Connect: true, Speak: true };
+
+// creates the space for a newly formed team (a thread in the lobby, or private channels of its
+// own, depending on the teamSpace setting), registers the team and posts its panel. throws when
+// the thread or text channel can't be created, or the team can't be registered (the new space is
+// deleted again first); after that, failures are only logged so that a retry never creates a
+// second space for the same team.
+export async function createTeamThread(event, leader) {
+  const config = await getConfig(event);
+  const channel = await clients.discord.channels.fetch(event.lobbyChannelId);
+  if (!channel) throw new Error(`lobby channel ${event.lobbyChannelId} not found`);
+  const teamUserIds = [leader.userId, ...leader.teammates, ...leader.crew.map(member => member.userId)];
+  const memberNames = await getMemberNames(event.guildId, teamUserIds);
+  const space = await createTeamSpace(event, config, channel, memberNames);
+  const thread = space.channel;
+  const spaceName = thread.isThread() ? 'thread' : 'channel';
+  let team;
+  try {
+    team = await registerTeam(event, leader, thread.id, { voiceChannelId: space.voiceChannel?.id ?? null });
+  } catch (err) {
+    await logEvent(`error registering team for leader ${leader.userId}: ${err.message}`, {
+      level: 'error',
+      type: 'team.registered',
+      userId: leader.userId,
+      event
+    });
+    await discardTeamSpace(event, space);
+    throw err;
+  }
+  try {
+    if (config.teamRoles) {
+      space.roleId = await createTeamRole(event, team, space);
+    }
+    let missingUsers = [];
+    for (const userId of teamUserIds) {
+      try {
+        await addToTeamSpace(event, space, userId);
+        await logEvent(`added ${userId} to thread.`, { level: 'debug', type: 'thread.member', userId, event });
+      } catch (err) {
+        await logEvent(`could not add ${userId} to thread: ${err.message}`, { level: 'warn', type: 'thread.member', userId, event });
+        missingUsers.push(userId);
+      }
+    }
+    await addMentors(event, config, team, space);
+    if (missingUsers.length > 0) {
+      const missingNames = await getMemberNames(event.guildId, missingUsers);
+      await thread.send(`the following users could not be automatically added: ${missingNames.join(', ')}. please join manually.`);
+    }
+    const mentors = team.mentorIds.length > 0 ? `\nmentor(s): ${team.mentorIds.map(id => `<@${id}>`).join(', ')}` : '';
+    const confirmEmbed = new EmbedBuilder()
+      .setTitle('team confirmed')
+      .setDescription(
+        `team leader: **${memberNames[0]}**\nteam: **${memberNames.slice(1).join(', ')}**${mentors}\n\n` +
+        'click **confirm team** to finalize. stuck? **request help** pings a mentor. if someone drops out, they can **leave team** ' +
+        `(or the leader can remove them) and the bot will look for a replacement. use **close ${spaceName}** to disband.`
+      )
+      .setColor(0x2e2f33)
+      .setTimestamp(new Date())
+      .setThumbnail(config.bannerUrl)
+      .setFooter({ text: team.id });
+    const confirmButton = new ButtonBuilder()
+      .setCustomId('confirm_team')
+      .setLabel('confirm team')
+      .setStyle(ButtonStyle.Success);
+    const helpButton = new ButtonBuilder()
+      .setCustomId('request_help')
+      .setLabel('request help')
+      .setStyle(ButtonStyle.Primary);
+    const leaveButton = new ButtonBuilder()
+      .setCustomId('leave_team')
+      .setLabel('leave team')
+      .setStyle(ButtonStyle.Secondary);
+    const kickButton = new ButtonBuilder()
+      .setCustomId('kick_member')
+      .setLabel('remove member')
+      .setStyle(ButtonStyle.Secondary);
+    const closeButton = new ButtonBuilder()
+      .setCustomId('close_thread')
+      .setLabel(`close ${spaceName}`)
+      .setStyle(ButtonStyle.Danger);
+    const panelRow = new ActionRowBuilder().addComponents(confirmButton, helpButton, leaveButton, kickButton, closeButton);
+    await thread.send({ content: memberNames.join(', '), embeds: [confirmEmbed], components: [panelRow] });
+  } catch (err) {
+    await logEvent(`error setting up team thread ${thread.id}: ${err.message}`, {
+      level: 'error',
+      type: 'thread.created',
+      userId: leader.userId,
+      event
+    });
+  }
+  await logEvent(`${spaceName} created for team leader ${leader.userId}`, {
+    type: 'thread.created',
+    userId: leader.userId,
+    event,
+    payload: { threadId: thread.id, voiceChannelId: space.voiceChannel?.id ?? null, space: config.teamSpace }
+  });
+  return thread;
+}
+
+// A team space: { channel, voiceChannel, roleId }. channel is the team's thread or text
+// channel; teams in a thread never have a voice channel.
+async function createTeamSpace(event, config, lobby, memberNames) {
+  const name = `team: ${memberNames.join(', ')}`;
+  if (config.teamSpace === 'public_thread' || config.teamSpace === 'private_thread') {
+    const options = { name, autoArchiveDuration: config.threadArchiveMinutes, reason: 'team formed' };
+    if (config.teamSpace === 'private_thread') {
+      Object.assign(options, { type: ChannelType.PrivateThread, invitable: false });
+    }
+    return { channel: await lobby.threads.create(options), voiceChannel: null, roleId: null };
+  }
+  const guild = clients.discord.guilds.cache.get(event.guildId);
+  if (!guild) throw new Error(`guild ${event.guildId} not found`);
+  // hidden from everyone but the bot until the team, its role and its mentors are let in
+  const permissionOverwrites = [
+    { id: guild.roles.everyone.id, type: OverwriteType.Role, deny: [PermissionFlagsBits.ViewChannel] },
+    {
+      id: clients.discord.user.id,
+      type: OverwriteType.Member,
+      allow: [
+        PermissionFlagsBits.ViewChannel,
+        PermissionFlagsBits.SendMessages,
+        PermissionFlagsBits.ReadMessageHistory,
+        PermissionFlagsBits.Connect,
+        PermissionFlagsBits.ManageChannels,
+        PermissionFlagsBits.ManageRoles
+      ]
+    }
+  ];
+  const parent = config.teamCategoryId ?? lobby.parentId;
+  const channel = await guild.channels.create({
+    name: textChannelName(memberNames),
+    type: ChannelType.GuildText,
+    parent,
+    permissionOverwrites,
+    reason: 'team formed'
+  });
+  let voiceChannel = null;
+  try {
+    await mapTeamChannel(event, channel.id);
+    if (config.teamSpace === 'channel_and_voice') {
+      voiceChannel = await guild.channels.create({ name, type: ChannelType.GuildVoice, parent, permissionOverwrites, reason: 'team formed' });
+    }
+  } catch (err) {
+    await logEvent(`error setting up team channel ${channel.id}: ${err.message}`, { level: 'error', type: 'thread.created', event });
+  }
+  return { channel, voiceChannel, roleId: null };
+}
+
+// text channel names can't have spaces or most punctuation
+function textChannelName(memberNames) {
+  return `team-${memberNames.join('-')}`.toLowerCase().replace(/[^\p{L}\p{N}_-]+/gu, '-').slice(0, 100);
+}
+
+function teamChannels(space) {
+  return [space.channel, space.voiceChannel].filter(Boolean);
+}
+
+// deletes a space whose team could not be registered, so the retry starts from scratch.
+async function discardTeamSpace(event, space) {
+  try {
+    for (const channel of teamChannels(space)) {
+      await channel.delete('team could not be registered');
+    }
+    if (!space.channel.isThread()) await unmapTeamChannel(space.channel.id);
+  } catch (err) {
+    await logEvent(`error deleting unregistered team channel ${space.channel.id}: ${err.message}`, { level: 'error', type: 'thread.closed', event });
+  }
+}
+
+// the space of a registered team, from the thread or text channel it was used in.
+async function fetchTeamSpace(team, channel) {
+  // the voice channel may have been deleted by hand
+  const voiceChannel = team?.voiceChannelId ? await clients.discord.channels.fetch(team.voiceChannelId).catch(() => null) : null;
+  return { channel, voiceChannel, roleId: team?.roleId ?? null };
+}
+
+// creates the team's own role and opens its channels to whoever holds it. resolves to the role id.
+async function createTeamRole(event, team, space) {
+  const guild = clients.discord.guilds.cache.get(event.guildId);
+  const role = await guild.roles.create({ name: `${event.name}: ${team.id}`, mentionable: true, reason: 'team formed' });
+  team.roleId = role.id;
+  await saveTeam(event, team);
+  if (!space.channel.isThread()) {
+    for (const channel of teamChannels(space)) {
+      await channel.permissionOverwrites.create(role.id, TEAM_CHANNEL_PERMISSIONS, { type: OverwriteType.Role, reason: 'team formed' });
+    }
+  }
+  return role.id;
+}
+
+// adds someone to the team's thread, or opens its channels to them, and gives them the team role.
+async function addToTeamSpace(event, space, userId) {
+  const guild = clients.discord.guilds.cache.get(event.guildId);
+  if (space.channel.isThread()) {
+    await space.channel.members.add(userId);
+  } else {
+    // throws for users who are not in the server, the same way adding them to a thread does
+    await guild.members.fetch(userId);
+    for (const channel of teamChannels(space)) {
+      await channel.permissionOverwrites.create(userId, TEAM_CHANNEL_PERMISSIONS, { type: OverwriteType.Member, reason: 'added to team' });
+    }
+  }
+  if (space.roleId) {
+    const member = await guild.members.fetch(userId);
+    await member.roles.add(space.roleId, 'added to team');
+  }
+}
+
+async function removeFromTeamSpace(event, space, userId) {
+  if (space.channel.isThread()) {
+    await space.channel.members.remove(userId);
+  } else {
+    for (const channel of teamChannels(space)) {
+      await channel.permissionOverwrites.delete(userId, 'removed from team');
+    }
+  }
+  if (space.roleId) {
+    const member = await clients.discord.guilds.cache.get(event.guildId).members.fetch(userId);
+    await member.roles.remove(space.roleId, 'removed from team');
+  }
+}
+
+// assigns a new team its mentors from the pool and lets them in. mentors don't get the team role.
+async function addMentors(event, config, team, space) {
+  team.mentorIds = await assignMentors(event, config.mentorsPerTeam, [team.leaderId, ...team.memberIds]);
+  if (team.mentorIds.length === 0) return;
+  await saveTeam(event, team);
+  for (const mentorId of team.mentorIds) {
+    try {
+      await addToTeamSpace(event, { ...space, roleId: null }, mentorId);
+      await logEvent(`added mentor ${mentorId} to thread.`, { level: 'debug', type: 'thread.member', userId: mentorId, event });
+    } catch (err) {
+      await logEvent(`could not add mentor ${mentorId} to thread: ${err.message}`, { level: 'warn', type: 'thread.member', userId: mentorId, event });
+    }
+  }
+  await logEvent(`assigned mentor(s) ${team.mentorIds.join(', ')} to ${team.id} in ${eventRef(event)}.`, {
+    type: 'team.mentors',
+    userId: team.leaderId,
+    event,
+    payload: { teamId: team.id, mentorIds: team.mentorIds }
+  });
+}
+
+// lets a mentor who isn't assigned to the team into its thread or channels, to answer a help request.
+export async function addMentorToTeam(event, team, channel, mentorId) {
+  const space = await fetchTeamSpace(team, channel);
+  await addToTeamSpace(event, { ...space, roleId: null }, mentorId);
+}
+
+// archives a closed team's thread, or deletes its channels, and deletes its role. problems are
+// only logged; the team is closed either way.
+export async function closeTeamSpace(event, team, channel, reason) {
+  try {
+    if (channel.isThread()) {
+      await channel.setArchived(true, reason);
+    } else {
+      const space = await fetchTeamSpace(team, channel);
+      for (const teamChannel of teamChannels(space)) {
+        await teamChannel.delete(reason);
+      }
+      await unmapTeamChannel(channel.id);
+    }
+    if (team?.roleId) {
+      await clients.discord.guilds.cache.get(event.guildId).roles.delete(team.roleId, reason);
+    }
+  } catch (err) {
+    await logEvent(`error cleaning up after ${team?.id ?? `thread ${channel.id}`}: ${err.message}`, {
+      level: 'error',
+      type: 'thread.closed',
+      event,
+      payload: { threadId: channel.id }
+    });
+  }
+}
+
+// adds the recruits of a replacement match to the team's existing thread. throws when the
+// thread can't be reached.
+export async function addReplacements(event, leader) {
+  const newIds = leader.crew.map(member => member.userId);
+  const thread = await clients.discord.channels.fetch(leader.threadId);
+  if (thread.archived) {
+    await thread.setArchived(false, 'replacement found');
+  }
+  const team = await getTeamByThread(event, leader.threadId);
+  const space = await fetchTeamSpace(team, thread);
+  for (const userId of newIds) {
+    try {
+      await addToTeamSpace(event, space, userId);
+    } catch (err) {
+      await logEvent(`could not add ${userId} to thread: ${err.message}`, { level: 'warn', type: 'thread.member', userId, event });
+    }
+  }
+  if (team) {
+    await updateTeam(event, team.id, current => {
+      current.memberIds = [...new Set([...current.memberIds, ...newIds])];
+    });
+  }
+  try {
+    await thread.send(`welcome ${newIds.map(id => `<@${id}>`).join(', ')}! you have joined this team as a replacement.`);
+  } catch (err) {
+    await logEvent(`could not welcome replacements in thread ${leader.threadId}: ${err.message}`, {
+      level: 'warn',
+      type: 'team.replaced',
+      event
+    });
+  }
+  await logEvent(`added replacement(s) ${newIds.join(', ')} to ${team?.id ?? `thread ${leader.threadId}`}.`, {
+    type: 'team.replaced',
+    userId: leader.userId,
+    event,
+    payload: { threadId: leader.threadId, memberIds: newIds }
+  });
+}
+
+// takes a member off a formed team and puts the leader back in the queue with the team's
+// thread, so tryMatching finds a replacement for the same thread. the rest of the team stays
+// in the registry only, so leaving the queue or being swept from it can't drop anyone from it.
+export async function removeTeamMember(event, team, thread, userId, actorId) {
+  const updated = await updateTeam(event, team.id, current => {
+    if (!current.memberIds.includes(userId)) return false;
+    current.memberIds = current.memberIds.filter(id => id !== userId);
+    current.status = 'forming';
+    return true;
+  });
+  // someone else already took them off the team
+  if (!updated?.result) return;
+  team = updated.team;
+  try {
+    await removeFromTeamSpace(event, await fetchTeamSpace(team, thread), userId);
+  } catch (err) {
+    await logEvent(`could not remove ${userId} from thread: ${err.message}`, { level: 'warn', type: 'thread.member', userId, event });
+  }
+  const outcome = await withQueues(event, state => {
+    // a replacement that was still waiting for acceptances has to be redone with the new roster
+    const pendingMatch = state.pendingMatches.find(match => match.leader.threadId === thread.id);
+    if (pendingMatch) returnMatchToQueues(state, pendingMatch, []);
+    const existing = state.leaders.find(entry => entry.threadId === thread.id);
+    if (existing) {
+      existing.additionalNeeded++;
+      return { status: 'updated', pendingMatch };
+    }
+    if (isInQueues(state, team.leaderId)) return { status: 'busy', pendingMatch };
+    insertByTimestamp(state.leaders, {
+      userId: team.leaderId,
+      additionalNeeded: 1,
+      teammates: [],
+      crew: [],
+      timestamp: team.createdAt,
+      tags: team.leaderTags ?? emptyTags(),
+      threadId: thread.id
+    });
+    return { status: 'queued', pendingMatch };
+  });
+  if (outcome.pendingMatch) {
+    await notifyMatchCancelled(event, outcome.pendingMatch, []);
+  }
+  const left = actorId === userId;
+  await thread.send(
+    outcome.status === 'busy'
+      ? `<@${userId}> ${left ? 'left' : 'was removed from'} the team. <@${team.leaderId}> is already in a queue, so no replacement will be searched for.`
+      : `<@${userId}> ${left ? 'left' : 'was removed from'} the team. looking for a replacement; they will be added to this thread.`
+  );
+  await logEvent(`user ${userId} ${left ? 'left' : 'was removed from'} ${team.id} in ${eventRef(event)}.`, {
+    type: left ? 'team.left' : 'team.kicked',
+    actorId,
+    userId,
+    event,
+    payload: { teamId: team.id, replacement: outcome.status }
+  });
+  await tryMatching(event);
+}
+
+// stops looking for replacements once a team is confirmed or closed.
+export async function stopReplacementSearch(event, threadId) {
+  const outcome = await withQueues(event, state => {
+    const pendingMatch = state.pendingMatches.find(match => match.leader.threadId === threadId);
+    if (pendingMatch) returnMatchToQueues(state, pendingMatch, [pendingMatch.leader.userId]);
+    const entry = state.leaders.find(other => other.threadId === threadId);
+    if (entry) {
+      releaseCrew(state, entry);
+      state.leaders = state.leaders.filter(other => other !== entry);
+    }
+    return { pendingMatch, stopped: Boolean(pendingMatch || entry) };
+  });
+  if (outcome.pendingMatch) {
+    await notifyMatchCancelled(event, outcome.pendingMatch, [outcome.pendingMatch.leader.userId]);
+  }
+  if (outcome.stopped) {
+    await logEvent(`stopped looking for replacements for thread ${threadId}.`, { type: 'team.replaced', event, payload: { threadId } });
+    await tryMatching(event);
+  }
+}
+
+// Retries of teams whose thread could not be created yet, keyed by match id.
+const formationTimers = new Map();
+
+// sets up the thread for a match everyone accepted and then drops it from the forming
+// journal. the journal entry is leased first so two processes never form the same team; a
+// failed attempt stays journaled and is retried until FORMATION_ATTEMPTS runs out, at which
+// point everyone goes back into the queue.
+export async function formTeam(event, matchId) {
+  clearFormationRetry(matchId);
+  const now = Date.now();
+  const entry = await withQueues(event, state => {
+    const match = state.formingMatches.find(other => other.id === matchId);
+    if (!match || match.leaseUntil > now) return null;
+    match.attempts++;
+    match.leaseUntil = now + FORMATION_LEASE_MS;
+    return match;
+  });
+  if (!entry) return;
+  const { leader } = entry;
+  try {
+    if (entry.attempts > 1 && (await isTeamFormed(event, entry))) {
+      await logEvent(`team for match ${matchId} was already set up before the last attempt stopped.`, {
+        type: 'match.formed',
+        userId: leader.userId,
+        event,
+        payload: { matchId }
+      });
+    } else if (leader.threadId) {
+      await addReplacements(event, leader);
+    } else {
+      await createTeamThread(event, leader);
+    }
+  } catch (err) {
+    await handleFormationFailure(event, entry, err);
+    return;
+  }
+  await withQueues(event, state => {
+    state.formingMatches = state.formingMatches.filter(other => other.id !== matchId);
+  });
+}
+
+// a process that stopped after setting up the thread but before clearing the journal has
+// already done the work.
+async function isTeamFormed(event, entry) {
+  const { leader } = entry;
+  if (leader.threadId) {
+    const team = await getTeamByThread(event, leader.threadId);
+    return Boolean(team) && leader.crew.every(member => team.memberIds.includes(member.userId));
+  }
+  const teams = await listTeams(event);
+  return teams.some(team => team.leaderId === leader.userId && team.createdAt >= entry.completedAt);
+}
+
+async function handleFormationFailure(event, entry, err) {
+  await logEvent(
+    `error setting up the team for match ${entry.id} (attempt ${entry.attempts} of ${FORMATION_ATTEMPTS}): ${err.message}`,
+    { level: 'error', type: 'match.formed', userId: entry.leader.userId, event, payload: { matchId: entry.id, attempt: entry.attempts } }
+  );
+  if (entry.attempts < FORMATION_ATTEMPTS) {
+    // give up the lease so whichever process retries first can claim it straight away
+    await withQueues(event, state => {
+      const match = state.formingMatches.find(other => other.id === entry.id);
+      if (match) match.leaseUntil = 0;
+    });
+    scheduleFormationRetry(event, entry.id, FORMATION_RETRY_MS);
+    return;
+  }
+  const returned = await withQueues(event, state => {
+    const match = state.formingMatches.find(other => other.id === entry.id);
+    if (!match) return null;
+    returnMatchToQueues(state, match, []);
+    return match;
+  });
+  if (!returned) return;
+  await logEvent(`gave up setting up the team for match ${entry.id}; everyone is back in the queue.`, {
+    level: 'warn',
+    type: 'match.formed',
+    userId: entry.leader.userId,
+    event,
+    payload: { matchId: entry.id }
+  });
+  for (const userId of matchParticipants(returned)) {
+    await notifyUser(userId, 'we could not set up your team thread, so you are back in the queue at your original position.');
+  }
+  await tryMatching(event);
+}
+
+function scheduleFormationRetry(event, matchId, delay) {
+  clearFormationRetry(matchId);
+  formationTimers.set(matchId, setTimeout(() => {
+    formationTimers.delete(matchId);
+    formTeam(event, matchId).catch(err => console.error('error retrying team formation:', err));
+  }, delay));
+}
+
+function clearFormationRetry(matchId) {
+  clearTimeout(formationTimers.get(matchId));
+  formationTimers.delete(matchId);
+}
+
+export function clearFormationRetries() {
+  for (const matchId of formationTimers.keys()) {
+    clearFormationRetry(matchId);
+  }
+}
+
+// picks the forming journal back up on startup. entries another process still holds a lease
+// on are retried once that lease runs out, in case that process is gone.
+export async function recoverFormingTeams(event) {
+  const { formingMatches } = await readQueues(clients.redis, event);
+  for (const match of formingMatches) {
+    await logEvent(`resuming setup of the team for match ${match.id} (${match.attempts} attempt(s) so far).`, {
+      type: 'match.recovered',
+      userId: match.leader.userId,
+      event,
+      payload: { matchId: match.id }
+    });
+    const delay = match.leaseUntil - Date.now();
+    if (delay > 0) {
+      scheduleFormationRetry(event, match.id, delay);
+    } else {
+      await formTeam(event, match.id);
+    }
+  }
+}
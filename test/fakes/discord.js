@@ -0,0 +1,272 @@
+import { ChannelType, Collection, RESTJSONErrorCodes } from 'discord.js';
+
+// Just enough of the discord.js client, channels and interactions for the handlers to run
+// against. Everything the bot sends is recorded so tests can assert on it.
+
+function discordError(code, message) {
+  return Object.assign(new Error(message), { code });
+}
+
+function toMessage(content) {
+  return typeof content === 'string' ? { content } : content;
+}
+
+export class FakeChannel {
+  constructor(discord, id, { parentId = null, name = null, type = ChannelType.GuildText, permissionOverwrites = [] } = {}) {
+    this.discord = discord;
+    this.id = id;
+    this.parentId = parentId;
+    this.name = name;
+    this.type = type;
+    this.deleted = false;
+    this.sent = [];
+    this.permissionOverwrites = {
+      cache: new Map(permissionOverwrites.map(overwrite => [overwrite.id, overwrite])),
+      create: async (id, allow, { type: overwriteType = null } = {}) => {
+        this.permissionOverwrites.cache.set(id, { id, type: overwriteType, allow });
+      },
+      delete: async (id) => {
+        this.permissionOverwrites.cache.delete(id);
+      }
+    };
+    this.messages = {
+      fetch: async (messageId) => {
+        const message = this.sent.find(other => other.id === messageId);
+        if (!message) throw discordError(RESTJSONErrorCodes.UnknownMessage, 'Unknown Message');
+        return message;
+      }
+    };
+    this.threads = {
+      create: async (options) => this.discord.addThread(this.id, options)
+    };
+  }
+
+  isThread() {
+    return false;
+  }
+
+  async delete() {
+    this.deleted = true;
+    this.discord.channelsById.delete(this.id);
+  }
+
+  async send(content) {
+    const message = { id: this.discord.nextId(), channelId: this.id, ...toMessage(content) };
+    message.edit = async (update) => Object.assign(message, toMessage(update));
+    this.sent.push(message);
+    return message;
+  }
+}
+
+export class FakeThread extends FakeChannel {
+  constructor(discord, id, parentId, { name, autoArchiveDuration, type = ChannelType.PublicThread, invitable = true }) {
+    super(discord, id, { parentId, name, type });
+    this.autoArchiveDuration = autoArchiveDuration;
+    this.invitable = invitable;
+    this.archived = false;
+    this.memberIds = new Set();
+    this.members = {
+      add: async (userId) => {
+        if (!this.discord.findMember(userId)) throw discordError(RESTJSONErrorCodes.UnknownMember, 'Unknown Member');
+        this.memberIds.add(userId);
+      },
+      remove: async (userId) => {
+        this.memberIds.delete(userId);
+      }
+    };
+  }
+
+  isThread() {
+    return true;
+  }
+
+  async setArchived(archived) {
+    this.archived = archived;
+  }
+}
+
+export class FakeUser {
+  constructor(id, { bot = false, dmsClosed = false } = {}) {
+    this.id = id;
+    this.bot = bot;
+    this.tag = `${id}#0000`;
+    this.dmsClosed = dmsClosed;
+    this.dms = [];
+  }
+
+  async send(content) {
+    if (this.dmsClosed) throw discordError(RESTJSONErrorCodes.CannotSendMessagesToThisUser, 'Cannot send messages to this user');
+    this.dms.push(toMessage(content));
+  }
+}
+
+class FakeGuild {
+  constructor(discord, id) {
+    this.id = id;
+    this.commandsSet = null;
+    this.channels = {
+      create: async ({ name, type, parent = null, permissionOverwrites = [] }) =>
+        discord.addChannel(discord.nextId(), { parentId: parent, name, type, permissionOverwrites })
+    };
+    this.roles = {
+      everyone: { id },
+      cache: new Collection(),
+      create: async ({ name }) => {
+        const role = { id: discord.nextId(), name };
+        this.roles.cache.set(role.id, role);
+        return role;
+      },
+      delete: async (roleId) => {
+        this.roles.cache.delete(roleId);
+      }
+    };
+    this.members = {
+      cache: new Collection(),
+      fetch: async (userId) => {
+        if (userId === undefined) return this.members.cache.clone();
+        const member = this.members.cache.get(userId);
+        if (!member) throw discordError(RESTJSONErrorCodes.UnknownMember, 'Unknown Member');
+        return member;
+      }
+    };
+    this.commands = {
+      set: async (commands) => {
+        this.commandsSet = commands;
+      }
+    };
+  }
+}
+
+export class FakeDiscord {
+  constructor() {
+    this.idSequence = 0;
+    this.user = new FakeUser('bot', { bot: true });
+    this.guilds = { cache: new Collection() };
+    this.channelsById = new Map();
+    this.usersById = new Map();
+    this.channels = {
+      fetch: async (channelId) => {
+        const channel = this.channelsById.get(channelId);
+        if (!channel) throw discordError(RESTJSONErrorCodes.UnknownChannel, 'Unknown Channel');
+        return channel;
+      }
+    };
+    this.users = {
+      fetch: async (userId) => {
+        const user = this.usersById.get(userId);
+        if (!user) throw discordError(RESTJSONErrorCodes.UnknownUser, 'Unknown User');
+        return user;
+      }
+    };
+  }
+
+  isReady() {
+    return true;
+  }
+
+  nextId() {
+    this.idSequence++;
+    return String(this.idSequence);
+  }
+
+  addGuild(guildId) {
+    const guild = new FakeGuild(this, guildId);
+    this.guilds.cache.set(guildId, guild);
+    return guild;
+  }
+
+  addChannel(channelId, options = {}) {
+    const channel = new FakeChannel(this, channelId, options);
+    this.channelsById.set(channelId, channel);
+    return channel;
+  }
+
+  addThread(parentId, options) {
+    const thread = new FakeThread(this, this.nextId(), parentId, options);
+    this.channelsById.set(thread.id, thread);
+    return thread;
+  }
+
+  // adds a user to the guild, with the display name and roles it is known by there
+  addMember(guildId, userId, { displayName = userId, roleIds = [], dmsClosed = false } = {}) {
+    const user = new FakeUser(userId, { dmsClosed });
+    this.usersById.set(userId, user);
+    const roles = new Collection(roleIds.map(roleId => [roleId, { id: roleId }]));
+    const member = {
+      id: userId,
+      user,
+      displayName,
+      roles: {
+        cache: roles,
+        add: async (roleId) => roles.set(roleId, { id: roleId }),
+        remove: async (roleId) => roles.delete(roleId)
+      }
+    };
+    this.guilds.cache.get(guildId).members.cache.set(userId, member);
+    return user;
+  }
+
+  findMember(userId) {
+    return this.guilds.cache.some(guild => guild.members.cache.has(userId));
+  }
+
+  threads() {
+    return [...this.channelsById.values()].filter(channel => channel.isThread());
+  }
+}
+
+// a component or slash command interaction from `userId` in `channel`, recording every response.
+// slash command options, given as { group, subcommand, ...values by option name }. user
+// options are given as user ids.
+function createOptions(discord, { group = null, subcommand = null, ...values }) {
+  const value = name => values[name] ?? null;
+  return {
+    getSubcommandGroup: () => group,
+    getSubcommand: () => subcommand,
+    getString: value,
+    getInteger: value,
+    getBoolean: value,
+    getRole: value,
+    getChannel: value,
+    getUser: name => (values[name] ? discord.usersById.get(values[name]) ?? new FakeUser(values[name]) : null)
+  };
+}
+
+export function createInteraction(
+  discord,
+  { kind = 'button', customId = null, commandName = null, userId, channel, guildId, values = [], users = [], roleIds = [], options = {} }
+) {
+  const responses = [];
+  const respond = (type) => async (content) => {
+    responses.push({ type, ...toMessage(content) });
+    if (type === 'reply' || type === 'update') interaction.replied = true;
+    if (type === 'deferReply') interaction.deferred = true;
+  };
+  const interaction = {
+    customId,
+    commandName,
+    values,
+    options: createOptions(discord, options),
+    users: new Collection(users.map(user => [user.id, user])),
+    user: discord.usersById.get(userId) ?? new FakeUser(userId),
+    member: { roles: roleIds },
+    guildId,
+    channel,
+    channelId: channel?.id ?? null,
+    replied: false,
+    deferred: false,
+    responses,
+    isButton: () => kind === 'button',
+    isSelectMenu: () => kind === 'select',
+    isUserSelectMenu: () => kind === 'userSelect',
+    isMessageComponent: () => kind !== 'command',
+    isCommand: () => kind === 'command',
+    isRepliable: () => true,
+    reply: respond('reply'),
+    update: respond('update'),
+    deferReply: respond('deferReply'),
+    editReply: respond('editReply'),
+    followUp: respond('followUp')
+  };
+  return interaction;
+}
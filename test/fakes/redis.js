@@ -0,0 +1,268 @@
+import { WatchError } from 'redis';
+
+// An in-memory stand-in for the node-redis client, covering the commands the bot uses.
+// Every write bumps a per-key version so WATCH/MULTI/EXEC behaves like the real thing:
+// exec throws WatchError when a watched key changed after it was watched.
+
+const TRANSACTION_COMMANDS = [
+  'get', 'set', 'del', 'incr',
+  'hGet', 'hSet', 'hDel', 'hGetAll', 'hVals', 'hLen', 'hIncrBy',
+  'zAdd', 'zRem', 'zRange',
+  'lPush', 'lTrim', 'lRange'
+];
+
+class FakeMulti {
+  constructor(redis, watched) {
+    this.redis = redis;
+    this.watched = watched;
+    this.queued = [];
+  }
+
+  async exec() {
+    const { redis, watched } = this;
+    if (watched && [...watched].some(([key, version]) => redis.version(key) !== version)) {
+      throw new WatchError();
+    }
+    const results = [];
+    for (const [name, args] of this.queued) {
+      results.push(await redis[name](...args));
+    }
+    return results;
+  }
+}
+for (const name of TRANSACTION_COMMANDS) {
+  FakeMulti.prototype[name] = function (...args) {
+    this.queued.push([name, args]);
+    return this;
+  };
+}
+
+export class FakeRedis {
+  constructor() {
+    this.store = new Map();
+    this.versions = new Map();
+    this.watched = null;
+  }
+
+  version(key) {
+    return this.versions.get(key) ?? 0;
+  }
+
+  touch(key) {
+    this.versions.set(key, this.version(key) + 1);
+  }
+
+  read(key, type, empty) {
+    const item = this.store.get(key);
+    if (item && item.expiresAt !== null && item.expiresAt <= Date.now()) {
+      this.store.delete(key);
+      return empty;
+    }
+    if (!item) return empty;
+    if (item.type !== type) throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+    return item.value;
+  }
+
+  write(key, type, value, expiresAt = null) {
+    this.store.set(key, { type, value, expiresAt });
+    this.touch(key);
+  }
+
+  // the map or array behind a key, created on first write
+  container(key, type, create) {
+    let value = this.read(key, type, null);
+    if (!value) {
+      value = create();
+      this.store.set(key, { type, value, expiresAt: null });
+    }
+    this.touch(key);
+    return value;
+  }
+
+  async executeIsolated(fn) {
+    const isolated = Object.create(this);
+    isolated.watched = null;
+    return fn(isolated);
+  }
+
+  async watch(keys) {
+    this.watched ??= new Map();
+    for (const key of [keys].flat()) this.watched.set(key, this.version(key));
+    return 'OK';
+  }
+
+  async unwatch() {
+    this.watched = null;
+    return 'OK';
+  }
+
+  multi() {
+    const watched = this.watched;
+    this.watched = null;
+    return new FakeMulti(this, watched);
+  }
+
+  async get(key) {
+    return this.read(key, 'string', null);
+  }
+
+  async set(key, value, { NX = false, PX = null, EX = null } = {}) {
+    if (NX && this.read(key, 'string', null) !== null) return null;
+    const ttl = PX ?? (EX === null ? null : EX * 1000);
+    this.write(key, 'string', String(value), ttl === null ? null : Date.now() + ttl);
+    return 'OK';
+  }
+
+  async del(keys) {
+    let removed = 0;
+    for (const key of [keys].flat()) {
+      if (this.store.delete(key)) {
+        this.touch(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  async renameNX(key, newKey) {
+    const item = this.store.get(key);
+    if (!item) throw new Error('ERR no such key');
+    if (this.store.has(newKey)) return false;
+    this.store.delete(key);
+    this.store.set(newKey, item);
+    this.touch(key);
+    this.touch(newKey);
+    return true;
+  }
+
+  async incr(key) {
+    const value = parseInt(this.read(key, 'string', '0'), 10) + 1;
+    this.write(key, 'string', String(value));
+    return value;
+  }
+
+  async hGet(key, field) {
+    return this.read(key, 'hash', new Map()).get(field) ?? null;
+  }
+
+  async hSet(key, ...args) {
+    const entries = typeof args[0] === 'object' ? Object.entries(args[0]) : [[args[0], args[1]]];
+    const hash = this.container(key, 'hash', () => new Map());
+    let added = 0;
+    for (const [field, value] of entries) {
+      if (!hash.has(field)) added++;
+      hash.set(field, String(value));
+    }
+    return added;
+  }
+
+  async hSetNX(key, field, value) {
+    const hash = this.container(key, 'hash', () => new Map());
+    if (hash.has(field)) return false;
+    hash.set(field, String(value));
+    return true;
+  }
+
+  async hDel(key, fields) {
+    const hash = this.read(key, 'hash', null);
+    if (!hash) return 0;
+    let removed = 0;
+    for (const field of [fields].flat()) {
+      if (hash.delete(field)) removed++;
+    }
+    if (hash.size === 0) this.store.delete(key);
+    if (removed > 0) this.touch(key);
+    return removed;
+  }
+
+  async hIncrBy(key, field, increment) {
+    const hash = this.container(key, 'hash', () => new Map());
+    const value = parseInt(hash.get(field) ?? '0', 10) + increment;
+    hash.set(field, String(value));
+    return value;
+  }
+
+  async hGetAll(key) {
+    return Object.fromEntries(this.read(key, 'hash', new Map()));
+  }
+
+  async hVals(key) {
+    return [...this.read(key, 'hash', new Map()).values()];
+  }
+
+  async hLen(key) {
+    return this.read(key, 'hash', new Map()).size;
+  }
+
+  async zAdd(key, members) {
+    const set = this.container(key, 'zset', () => new Map());
+    let added = 0;
+    for (const { score, value } of [members].flat()) {
+      if (!set.has(value)) added++;
+      set.set(value, score);
+    }
+    return added;
+  }
+
+  async zRem(key, values) {
+    const set = this.read(key, 'zset', null);
+    if (!set) return 0;
+    let removed = 0;
+    for (const value of [values].flat()) {
+      if (set.delete(value)) removed++;
+    }
+    if (set.size === 0) this.store.delete(key);
+    if (removed > 0) this.touch(key);
+    return removed;
+  }
+
+  async zRange(key, start, stop) {
+    const sorted = [...this.read(key, 'zset', new Map())]
+      .sort(([a, scoreA], [b, scoreB]) => scoreA - scoreB || (a < b ? -1 : a > b ? 1 : 0))
+      .map(([value]) => value);
+    return sorted.slice(start, stop === -1 ? undefined : stop + 1);
+  }
+
+  async lPush(key, values) {
+    const list = this.container(key, 'list', () => []);
+    for (const value of [values].flat()) list.unshift(String(value));
+    return list.length;
+  }
+
+  async lTrim(key, start, stop) {
+    const list = this.read(key, 'list', null);
+    if (!list) return 'OK';
+    list.splice(0, list.length, ...list.slice(start, stop === -1 ? undefined : stop + 1));
+    this.touch(key);
+    return 'OK';
+  }
+
+  async lRange(key, start, stop) {
+    return this.read(key, 'list', []).slice(start, stop === -1 ? undefined : stop + 1);
+  }
+
+  async xAdd(key, id, fields) {
+    const stream = this.container(key, 'stream', () => []);
+    const entryId = `${Date.now()}-${stream.length}`;
+    stream.push({ id: entryId, message: { ...fields } });
+    return entryId;
+  }
+
+  // only end ids of '+', 'id' or '(id' (exclusive); start is always '-'
+  async xRevRange(key, end, start, { COUNT = Infinity } = {}) {
+    const exclusive = end.startsWith('(');
+    const endId = exclusive ? end.slice(1) : end;
+    const entries = [...this.read(key, 'stream', [])].reverse();
+    const from = endId === '+' ? 0 : entries.findIndex(entry => entry.id === endId) + (exclusive ? 1 : 0);
+    return entries.slice(from, from + COUNT);
+  }
+
+  // only the compare-and-delete script the user locks are released with
+  async eval(script, { keys, arguments: args }) {
+    if (!script.includes("redis.call('get', KEYS[1]) == ARGV[1]")) {
+      throw new Error('the fake redis client does not support this script');
+    }
+    if ((await this.get(keys[0])) !== args[0]) return 0;
+    return this.del(keys[0]);
+  }
+}
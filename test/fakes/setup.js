@@ -0,0 +1,49 @@
+import { mock } from 'node:test';
+import { setClients } from '../../src/clients.js';
+import { saveEvent } from '../../src/events.js';
+import { withQueues, emptyTags } from '../../src/store.js';
+import { FakeDiscord } from './discord.js';
+import { FakeRedis } from './redis.js';
+
+export const GUILD_ID = '100000000000000001';
+export const LOBBY_CHANNEL_ID = '100000000000000002';
+
+// wires fresh fakes into the bot and registers one event with a lobby. timers are mocked so
+// match timeouts and debounced lobby refreshes only fire when a test ticks them.
+export async function setupBot() {
+  mock.timers.enable({ apis: ['setTimeout', 'setInterval'] });
+  mock.method(console, 'log', () => {});
+  const redis = new FakeRedis();
+  const discord = new FakeDiscord();
+  setClients({ redis, discord });
+  discord.addGuild(GUILD_ID);
+  const lobby = discord.addChannel(LOBBY_CHANNEL_ID);
+  const event = { guildId: GUILD_ID, eventId: 'default', name: 'default', lobbyChannelId: LOBBY_CHANNEL_ID, createdAt: Date.now() };
+  await saveEvent(event);
+  return { redis, discord, lobby, event };
+}
+
+export function teardownBot() {
+  mock.timers.reset();
+  mock.restoreAll();
+}
+
+export function leaderEntry(userId, { additionalNeeded = 1, teammates = [], crew = [], tags = emptyTags(), timestamp = Date.now() } = {}) {
+  return { userId, timestamp, additionalNeeded, teammates, crew, tags };
+}
+
+export function memberEntry(userId, { tags = emptyTags(), timestamp = Date.now() } = {}) {
+  return { userId, timestamp, tags };
+}
+
+export async function enqueue(event, { leaders = [], members = [] }) {
+  await withQueues(event, state => {
+    state.leaders.push(...leaders);
+    state.members.push(...members);
+  });
+}
+
+// custom ids of every component in a sent message, row by row
+export function customIds(message) {
+  return (message.components ?? []).flatMap(row => row.components.map(component => component.data.custom_id));
+}
@@ -0,0 +1,210 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { clients } from '../src/clients.js';
+import { readQueues, getDraft, saveDraft } from '../src/store.js';
+import { handleInteraction, handleMemberCountSelect } from '../src/interactions.js';
+import { blockUser, getAvoidedUsers } from '../src/blocklist.js';
+import { createInteraction } from './fakes/discord.js';
+import { setupBot, teardownBot, enqueue, leaderEntry, memberEntry, customIds, GUILD_ID } from './fakes/setup.js';
+
+const MINUTE = 60 * 1000;
+
+describe('interactions', () => {
+  let discord;
+  let lobby;
+  let event;
+
+  function click(userId, customId) {
+    return createInteraction(discord, { customId, userId, channel: lobby, guildId: GUILD_ID });
+  }
+
+  function select(userId, customId, values) {
+    return createInteraction(discord, { kind: 'select', customId, values, userId, channel: lobby, guildId: GUILD_ID });
+  }
+
+  beforeEach(async () => {
+    ({ discord, lobby, event } = await setupBot());
+    for (const userId of ['leader', 'alice', 'bob']) {
+      discord.addMember(GUILD_ID, userId);
+    }
+  });
+
+  afterEach(teardownBot);
+
+  describe('role switching', () => {
+    it('asks a waiting leader to confirm before joining as a member', async () => {
+      await enqueue(event, { leaders: [leaderEntry('leader', { additionalNeeded: 2 })] });
+
+      const interaction = click('leader', 'looking_for_team');
+      await handleInteraction(interaction);
+
+      const [response] = interaction.responses;
+      assert.equal(response.type, 'reply');
+      assert.equal(response.embeds[0].data.title, 'switch allegiance?');
+      assert.deepEqual(customIds(response), ['switch_to_team', 'cancel_switch']);
+      const state = await readQueues(clients.redis, event);
+      assert.deepEqual(state.leaders.map(entry => entry.userId), ['leader']);
+    });
+
+    it('turns a leader into a member and returns their crew to the front of the queue', async () => {
+      const now = Date.now();
+      const leaderTags = { languages: ['go'], experience: 'advanced', timezone: null };
+      await enqueue(event, {
+        leaders: [
+          leaderEntry('leader', {
+            additionalNeeded: 1,
+            crew: [memberEntry('alice', { timestamp: now - 10 * MINUTE })],
+            tags: leaderTags,
+            timestamp: now - 5 * MINUTE
+          })
+        ],
+        members: [memberEntry('bob', { timestamp: now - MINUTE })]
+      });
+
+      const interaction = click('leader', 'switch_to_team');
+      await handleInteraction(interaction);
+
+      const state = await readQueues(clients.redis, event);
+      assert.deepEqual(state.leaders, []);
+      assert.deepEqual(state.members.map(entry => entry.userId), ['alice', 'bob', 'leader']);
+      assert.equal(state.members[0].timestamp, now - 10 * MINUTE);
+      assert.deepEqual(state.members[2].tags, leaderTags);
+      assert.equal(interaction.responses[0].type, 'update');
+      assert.equal(interaction.responses[0].embeds[0].data.title, 'allegiance switched');
+    });
+
+    it('takes a member out of the queue and starts leader setup with their tags', async () => {
+      const memberTags = { languages: ['rust'], experience: null, timezone: 'americas' };
+      await enqueue(event, { members: [memberEntry('alice', { tags: memberTags })] });
+
+      const interaction = click('alice', 'switch_to_leader');
+      await handleInteraction(interaction);
+
+      const state = await readQueues(clients.redis, event);
+      assert.deepEqual(state.members, []);
+      assert.deepEqual(await getDraft(event, 'alice'), {
+        role: 'leader',
+        additionalNeeded: 0,
+        teammates: [],
+        tags: memberTags
+      });
+      assert.deepEqual(customIds(interaction.responses[0]), ['select_member_count']);
+    });
+  });
+
+  describe('blocklist', () => {
+    it('keeps blocked users from starting either profile', async () => {
+      await blockUser(GUILD_ID, 'alice', 'spam', 'organizer');
+
+      for (const customId of ['looking_for_team', 'looking_for_members_start']) {
+        const interaction = click('alice', customId);
+        await handleInteraction(interaction);
+
+        assert.equal(interaction.responses[0].embeds[0].data.title, 'cannot join');
+        assert.ok(!interaction.responses[0].embeds[0].data.description.includes('spam'));
+      }
+      assert.equal(await getDraft(event, 'alice'), null);
+    });
+  });
+
+  describe('/team avoid', () => {
+    function command(userId, options) {
+      return createInteraction(discord, { kind: 'command', commandName: 'team', userId, channel: lobby, guildId: GUILD_ID, options });
+    }
+
+    it('adds, lists and removes people to avoid', async () => {
+      const add = command('leader', { group: 'avoid', subcommand: 'add', user: 'alice' });
+      await handleInteraction(add);
+      assert.match(add.responses[0].content, /^you will not be matched with <@alice>/);
+
+      const again = command('leader', { group: 'avoid', subcommand: 'add', user: 'alice' });
+      await handleInteraction(again);
+      assert.equal(again.responses[0].content, '<@alice> is already on your list.');
+
+      const self = command('leader', { group: 'avoid', subcommand: 'add', user: 'leader' });
+      await handleInteraction(self);
+      assert.equal(self.responses[0].content, 'pick another person.');
+
+      const list = command('leader', { group: 'avoid', subcommand: 'list' });
+      await handleInteraction(list);
+      assert.equal(list.responses[0].embeds[0].data.description, '<@alice>');
+
+      await handleInteraction(command('leader', { group: 'avoid', subcommand: 'remove', user: 'alice' }));
+      assert.deepEqual(await getAvoidedUsers(GUILD_ID, 'leader'), []);
+    });
+  });
+
+  describe('handleMemberCountSelect', () => {
+    it('starts a leader profile with the chosen count', async () => {
+      const interaction = select('leader', 'select_member_count', ['2']);
+      await handleMemberCountSelect(interaction, event);
+
+      const draft = await getDraft(event, 'leader');
+      assert.equal(draft.role, 'leader');
+      assert.equal(draft.additionalNeeded, 2);
+      const [response] = interaction.responses;
+      assert.equal(response.type, 'update');
+      assert.equal(response.embeds[0].data.title, 'leader profile');
+      assert.ok(customIds(response).includes('submit_profile'));
+      const state = await readQueues(clients.redis, event);
+      assert.deepEqual(state.leaders, []);
+    });
+
+    it('drops named teammates that no longer fit the team', async () => {
+      await saveDraft(event, 'leader', {
+        role: 'leader',
+        additionalNeeded: 1,
+        teammates: ['alice', 'bob'],
+        tags: { languages: [], experience: null, timezone: null }
+      });
+
+      await handleMemberCountSelect(select('leader', 'select_member_count', ['2']), event);
+
+      const draft = await getDraft(event, 'leader');
+      assert.deepEqual(draft.teammates, ['alice']);
+    });
+
+    it('rejects counts the event does not offer', async () => {
+      for (const value of ['5', 'lots']) {
+        const interaction = select('leader', 'select_member_count', [value]);
+        await handleMemberCountSelect(interaction, event);
+
+        assert.deepEqual(interaction.responses, [{ type: 'reply', content: 'invalid selection.', ephemeral: true }]);
+      }
+      assert.equal(await getDraft(event, 'leader'), null);
+    });
+
+    it('refuses a count that would take a waiting leader past the team size', async () => {
+      await enqueue(event, {
+        leaders: [leaderEntry('leader', { additionalNeeded: 1, teammates: ['alice', 'bob'] })]
+      });
+
+      const interaction = select('leader', 'select_member_count', ['2']);
+      await handleMemberCountSelect(interaction, event);
+
+      assert.equal(
+        interaction.responses[0].content,
+        'your team already has 3 people and teams are capped at 4. you can recruit at most 1 more.'
+      );
+      const state = await readQueues(clients.redis, event);
+      assert.equal(state.leaders[0].additionalNeeded, 1);
+    });
+
+    it('updates a waiting leader and matches them right away', async () => {
+      const now = Date.now();
+      await enqueue(event, {
+        leaders: [leaderEntry('leader', { additionalNeeded: 1, timestamp: now - 3 * MINUTE })],
+        members: [memberEntry('alice', { timestamp: now - 2 * MINUTE }), memberEntry('bob', { timestamp: now - MINUTE })]
+      });
+
+      const interaction = select('leader', 'select_member_count', ['2']);
+      await handleMemberCountSelect(interaction, event);
+
+      assert.equal(interaction.responses[0].content, 'you are now a team leader. you need 2 more team member(s).');
+      const state = await readQueues(clients.redis, event);
+      assert.deepEqual(state.leaders, []);
+      assert.deepEqual(state.members, []);
+      assert.deepEqual(state.pendingMatches[0].leader.crew.map(member => member.userId), ['alice', 'bob']);
+    });
+  });
+});
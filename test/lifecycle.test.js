@@ -0,0 +1,27 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { clients } from '../src/clients.js';
+import { REDIS_KEY_AUDIT_LOG } from '../src/constants.js';
+import { tracked } from '../src/lifecycle.js';
+import { setupBot, teardownBot } from './fakes/setup.js';
+
+describe('tracked', () => {
+  beforeEach(async () => {
+    await setupBot();
+    mock.method(console, 'error', () => {});
+  });
+
+  afterEach(teardownBot);
+
+  it('logs a failing listener instead of rejecting', async () => {
+    const listener = tracked(async function removeDepartedMember() {
+      throw new Error('redis went away');
+    });
+
+    await listener();
+
+    const [entry] = await clients.redis.xRevRange(REDIS_KEY_AUDIT_LOG, '+', '-');
+    assert.equal(entry.message.level, 'error');
+    assert.equal(entry.message.message, 'error in removeDepartedMember: redis went away');
+  });
+});
@@ -0,0 +1,180 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { clients } from '../src/clients.js';
+import { saveEvent } from '../src/events.js';
+import { readQueues } from '../src/store.js';
+import { tryMatching } from '../src/matcher.js';
+import { setAvoidedUsers } from '../src/blocklist.js';
+import { setupBot, teardownBot, enqueue, leaderEntry, memberEntry, customIds, GUILD_ID } from './fakes/setup.js';
+
+const MINUTE = 60 * 1000;
+
+function tags(languages, experience = null, timezone = null) {
+  return { languages, experience, timezone };
+}
+
+describe('tryMatching', () => {
+  let discord;
+  let event;
+
+  beforeEach(async () => {
+    ({ discord, event } = await setupBot());
+    for (const userId of ['leader', 'alice', 'bob', 'carol']) {
+      discord.addMember(GUILD_ID, userId);
+    }
+  });
+
+  afterEach(teardownBot);
+
+  it('fills a leader from the member queue and asks everyone to accept', async () => {
+    const now = Date.now();
+    await enqueue(event, {
+      leaders: [leaderEntry('leader', { additionalNeeded: 2, timestamp: now - 3 * MINUTE })],
+      members: [
+        memberEntry('alice', { timestamp: now - 2 * MINUTE }),
+        memberEntry('bob', { timestamp: now - MINUTE }),
+        memberEntry('carol', { timestamp: now })
+      ]
+    });
+
+    await tryMatching(event);
+
+    const state = await readQueues(clients.redis, event);
+    assert.deepEqual(state.leaders, []);
+    assert.deepEqual(state.members.map(entry => entry.userId), ['carol']);
+    assert.equal(state.pendingMatches.length, 1);
+    const [match] = state.pendingMatches;
+    assert.equal(match.leader.userId, 'leader');
+    assert.equal(match.leader.additionalNeeded, 0);
+    assert.deepEqual(match.leader.crew.map(member => member.userId), ['alice', 'bob']);
+
+    for (const userId of ['leader', 'alice', 'bob']) {
+      const [prompt] = (await discord.users.fetch(userId)).dms;
+      assert.deepEqual(customIds(prompt), [
+        `match_accept:${GUILD_ID}:default:${match.id}`,
+        `match_decline:${GUILD_ID}:default:${match.id}`
+      ]);
+    }
+    assert.deepEqual((await discord.users.fetch('carol')).dms, []);
+  });
+
+  it('keeps recruiting into a leader that still needs more members', async () => {
+    await enqueue(event, {
+      leaders: [leaderEntry('leader', { additionalNeeded: 2 })],
+      members: [memberEntry('alice')]
+    });
+
+    await tryMatching(event);
+
+    const state = await readQueues(clients.redis, event);
+    assert.equal(state.pendingMatches.length, 0);
+    assert.equal(state.leaders[0].additionalNeeded, 1);
+    assert.deepEqual(state.leaders[0].crew.map(member => member.userId), ['alice']);
+    assert.deepEqual(state.members, []);
+  });
+
+  it('prefers members who bring languages the team is missing', async () => {
+    const now = Date.now();
+    await enqueue(event, {
+      leaders: [leaderEntry('leader', { tags: tags(['python']), timestamp: now - 3 * MINUTE })],
+      members: [
+        memberEntry('alice', { tags: tags(['python']), timestamp: now - 2 * MINUTE }),
+        memberEntry('bob', { tags: tags(['rust']), timestamp: now - MINUTE })
+      ]
+    });
+
+    await tryMatching(event);
+
+    const state = await readQueues(clients.redis, event);
+    assert.deepEqual(state.pendingMatches[0].leader.crew.map(member => member.userId), ['bob']);
+    assert.deepEqual(state.members.map(entry => entry.userId), ['alice']);
+  });
+
+  it('matches members who waited past the limit first, whatever their tags', async () => {
+    const now = Date.now();
+    await enqueue(event, {
+      leaders: [leaderEntry('leader', { tags: tags(['python'], 'advanced', 'europe / africa'), timestamp: now })],
+      members: [
+        memberEntry('alice', { tags: tags(['python'], 'beginner', 'americas'), timestamp: now - 60 * MINUTE }),
+        memberEntry('bob', { tags: tags(['rust'], 'advanced', 'europe / africa'), timestamp: now - MINUTE })
+      ]
+    });
+
+    await tryMatching(event);
+
+    const state = await readQueues(clients.redis, event);
+    assert.deepEqual(state.pendingMatches[0].leader.crew.map(member => member.userId), ['alice']);
+  });
+
+  it('never teams up people who asked not to be matched, even past the wait limit', async () => {
+    const now = Date.now();
+    await setAvoidedUsers(GUILD_ID, 'leader', ['alice']);
+    await enqueue(event, {
+      leaders: [leaderEntry('leader', { timestamp: now })],
+      members: [
+        memberEntry('alice', { timestamp: now - 60 * MINUTE }),
+        memberEntry('bob', { timestamp: now - MINUTE })
+      ]
+    });
+
+    await tryMatching(event);
+
+    const state = await readQueues(clients.redis, event);
+    assert.deepEqual(state.pendingMatches[0].leader.crew.map(member => member.userId), ['bob']);
+    assert.deepEqual(state.members.map(entry => entry.userId), ['alice']);
+  });
+
+  it('keeps apart a candidate and anyone already recruited, whichever of them asked', async () => {
+    const now = Date.now();
+    await setAvoidedUsers(GUILD_ID, 'carol', ['alice']);
+    await enqueue(event, {
+      leaders: [leaderEntry('leader', { additionalNeeded: 2, timestamp: now - 3 * MINUTE })],
+      members: [
+        memberEntry('alice', { timestamp: now - 2 * MINUTE }),
+        memberEntry('carol', { timestamp: now - MINUTE })
+      ]
+    });
+
+    await tryMatching(event);
+
+    const state = await readQueues(clients.redis, event);
+    assert.deepEqual(state.leaders[0].crew.map(member => member.userId), ['alice']);
+    assert.deepEqual(state.members.map(entry => entry.userId), ['carol']);
+  });
+
+  it("only matches within the event's own queues", async () => {
+    discord.addChannel('100000000000000003');
+    const otherEvent = {
+      guildId: GUILD_ID,
+      eventId: 'other',
+      name: 'other',
+      lobbyChannelId: '100000000000000003',
+      createdAt: Date.now()
+    };
+    await saveEvent(otherEvent);
+    await enqueue(event, { leaders: [leaderEntry('leader')] });
+    await enqueue(otherEvent, { members: [memberEntry('alice')] });
+
+    await tryMatching(event);
+
+    const state = await readQueues(clients.redis, event);
+    const otherState = await readQueues(clients.redis, otherEvent);
+    assert.equal(state.pendingMatches.length, 0);
+    assert.deepEqual(state.leaders[0].crew, []);
+    assert.deepEqual(otherState.members.map(entry => entry.userId), ['alice']);
+  });
+
+  it('falls back to the lobby when a matched user has closed their dms', async () => {
+    discord.addMember(GUILD_ID, 'dave', { dmsClosed: true });
+    await enqueue(event, {
+      leaders: [leaderEntry('leader')],
+      members: [memberEntry('dave')]
+    });
+
+    await tryMatching(event);
+
+    const lobby = await discord.channels.fetch(event.lobbyChannelId);
+    assert.equal(lobby.sent.length, 1);
+    assert.equal(lobby.sent[0].content, '<@dave>');
+  });
+});
@@ -0,0 +1,177 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { clients } from '../src/clients.js';
+import { REDIS_KEY_CONFIG } from '../src/constants.js';
+import { eventKey } from '../src/events.js';
+import { setConfigValue } from '../src/settings.js';
+import { getTeamByThread, setTeamStatus } from '../src/teams.js';
+import { addMentor, removeMentor, listMentors, migrateAutoAddRole, markMentorsMigrated, readHelpTickets } from '../src/mentors.js';
+import { createTeamThread } from '../src/threads.js';
+import { handleInteraction } from '../src/interactions.js';
+import { createInteraction } from './fakes/discord.js';
+import { setupBot, teardownBot, leaderEntry, memberEntry, customIds, GUILD_ID } from './fakes/setup.js';
+
+describe('mentors', () => {
+  let discord;
+  let event;
+
+  function formTeam(leaderId, memberIds) {
+    return createTeamThread(event, leaderEntry(leaderId, { additionalNeeded: 0, crew: memberIds.map(id => memberEntry(id)) }));
+  }
+
+  function click(userId, customId, channel) {
+    return createInteraction(discord, { customId, userId, channel, guildId: GUILD_ID });
+  }
+
+  beforeEach(async () => {
+    ({ discord, event } = await setupBot());
+    for (const userId of ['leader', 'alice', 'bob', 'carol', 'mentor1', 'mentor2', 'mentor3']) {
+      discord.addMember(GUILD_ID, userId);
+    }
+  });
+
+  afterEach(teardownBot);
+
+  describe('assignment', () => {
+    it('hands new teams to the least busy mentor, going round the pool in turn', async () => {
+      for (const mentorId of ['mentor1', 'mentor2', 'mentor3']) {
+        await addMentor(event, mentorId);
+      }
+
+      const threads = [];
+      for (const [leaderId, memberId] of [['leader', 'alice'], ['bob', 'carol'], ['alice', 'leader']]) {
+        threads.push(await formTeam(leaderId, [memberId]));
+      }
+      await setTeamStatus(event, threads[1].id, 'closed');
+      const fourth = await formTeam('carol', ['bob']);
+
+      const mentorIds = [];
+      for (const thread of [...threads, fourth]) {
+        mentorIds.push((await getTeamByThread(event, thread.id)).mentorIds);
+      }
+      assert.deepEqual(mentorIds, [['mentor1'], ['mentor2'], ['mentor3'], ['mentor2']]);
+      assert.deepEqual([...fourth.memberIds], ['carol', 'bob', 'mentor2']);
+    });
+
+    it('seeds the pool once from the auto-add role an event was set up with', async () => {
+      discord.addMember(GUILD_ID, 'mentor4', { roleIds: ['mentor-role'] });
+      discord.addMember(GUILD_ID, 'mentor5', { roleIds: ['mentor-role'] });
+      await clients.redis.hSet(eventKey(event, REDIS_KEY_CONFIG), 'autoAddRoleId', 'mentor-role');
+
+      await migrateAutoAddRole(event);
+      await removeMentor(event, 'mentor5');
+      await migrateAutoAddRole(event);
+      const thread = await formTeam('leader', ['alice']);
+
+      assert.deepEqual((await listMentors(event)).map(mentor => mentor.userId), ['mentor4']);
+      assert.deepEqual((await getTeamByThread(event, thread.id)).mentorIds, ['mentor4']);
+      assert.equal(await clients.redis.hGet(eventKey(event, REDIS_KEY_CONFIG), 'autoAddRoleId'), null);
+    });
+
+    it("falls back to the auto-add role's old default, unless it was turned off", async () => {
+      discord.addMember(GUILD_ID, 'mentor4', { roleIds: ['1336115778302251058'] });
+      const otherEvent = { ...event, eventId: 'other' };
+      await clients.redis.hSet(eventKey(otherEvent, REDIS_KEY_CONFIG), 'autoAddRoleId', 'none');
+
+      await migrateAutoAddRole(event);
+      await migrateAutoAddRole(otherEvent);
+
+      assert.deepEqual((await listMentors(event)).map(mentor => mentor.userId), ['mentor4']);
+      assert.deepEqual(await listMentors(otherEvent), []);
+    });
+
+    it('leaves events set up after the mentor pool alone', async () => {
+      discord.addMember(GUILD_ID, 'mentor4', { roleIds: ['1336115778302251058'] });
+      await markMentorsMigrated(event);
+
+      await migrateAutoAddRole(event);
+
+      assert.deepEqual(await listMentors(event), []);
+    });
+
+    it('assigns as many mentors as configured, never someone on the team', async () => {
+      await setConfigValue(event, 'mentorsPerTeam', '2');
+      await addMentor(event, 'alice');
+      await addMentor(event, 'mentor1');
+      await addMentor(event, 'mentor2');
+
+      const thread = await formTeam('leader', ['alice']);
+
+      assert.deepEqual((await getTeamByThread(event, thread.id)).mentorIds, ['mentor1', 'mentor2']);
+    });
+  });
+
+  describe('help requests', () => {
+    it('pings the team mentor, who can claim and resolve the request', async () => {
+      await addMentor(event, 'mentor1');
+      const thread = await formTeam('leader', ['alice']);
+
+      const request = click('alice', 'request_help', thread);
+      await handleInteraction(request);
+
+      const [message] = request.responses;
+      assert.equal(message.content, '**help-1** · <@alice> asked for help. <@mentor1>, could you take a look?');
+      assert.deepEqual(customIds(message), [`help_claim:${GUILD_ID}:default:help-1`, `help_resolve:${GUILD_ID}:default:help-1`]);
+
+      const again = click('leader', 'request_help', thread);
+      await handleInteraction(again);
+      assert.equal(again.responses[0].content, 'your team already has an open help request.');
+
+      const notMentor = click('bob', `help_claim:${GUILD_ID}:default:help-1`, thread);
+      await handleInteraction(notMentor);
+      assert.equal(notMentor.responses[0].content, 'only mentors can claim help requests.');
+
+      const claim = click('mentor1', `help_claim:${GUILD_ID}:default:help-1`, thread);
+      await handleInteraction(claim);
+      assert.equal(claim.responses[0].type, 'update');
+      assert.equal(claim.responses[0].content, '**help-1** · <@alice> asked for help. <@mentor1> is on it.');
+      assert.deepEqual(customIds(claim.responses[0]), [`help_resolve:${GUILD_ID}:default:help-1`]);
+
+      const resolve = click('alice', `help_resolve:${GUILD_ID}:default:help-1`, thread);
+      await handleInteraction(resolve);
+      assert.deepEqual(customIds(resolve.responses[0]), []);
+
+      const [ticket] = await readHelpTickets(clients.redis, event);
+      assert.equal(ticket.status, 'resolved');
+      assert.equal(ticket.claimedBy, 'mentor1');
+      assert.equal(ticket.resolvedBy, 'alice');
+    });
+
+    it('brings in a mentor from the pool when the team has none of its own', async () => {
+      await setConfigValue(event, 'mentorsPerTeam', '0');
+      await addMentor(event, 'mentor1');
+      const thread = await formTeam('leader', ['alice']);
+      assert.equal(thread.memberIds.has('mentor1'), false);
+
+      await handleInteraction(click('leader', 'request_help', thread));
+
+      const [ticket] = await readHelpTickets(clients.redis, event);
+      assert.equal(ticket.mentorId, 'mentor1');
+      assert.equal(thread.memberIds.has('mentor1'), true);
+    });
+
+    it('opens the request without a ping when the pool is empty', async () => {
+      const thread = await formTeam('leader', ['alice']);
+
+      const request = click('leader', 'request_help', thread);
+      await handleInteraction(request);
+
+      assert.equal(
+        request.responses[0].content,
+        '**help-1** · <@leader> asked for help. no mentor is available right now; an organizer will pick this up.'
+      );
+    });
+
+    it('resolves open requests when the team is closed', async () => {
+      await addMentor(event, 'mentor1');
+      const thread = await formTeam('leader', ['alice']);
+      await handleInteraction(click('alice', 'request_help', thread));
+
+      await handleInteraction(click('leader', 'close_thread', thread));
+
+      const [ticket] = await readHelpTickets(clients.redis, event);
+      assert.equal(ticket.status, 'resolved');
+      assert.equal(ticket.resolvedBy, 'leader');
+    });
+  });
+});
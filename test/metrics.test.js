@@ -0,0 +1,86 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { saveDraft, emptyTags } from '../src/store.js';
+import { handleInteraction } from '../src/interactions.js';
+import { readMetrics, summarizeWaits, chartColumns, metricSeries, sparkline } from '../src/metrics.js';
+import { startMetricsServer } from '../src/metricsServer.js';
+import { createInteraction } from './fakes/discord.js';
+import { setupBot, teardownBot, enqueue, leaderEntry, GUILD_ID } from './fakes/setup.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+describe('metrics', () => {
+  let discord;
+  let lobby;
+  let event;
+
+  async function joinAsMember(userId) {
+    await saveDraft(event, userId, { role: 'member', additionalNeeded: 0, teammates: [], tags: emptyTags() });
+    await handleInteraction(createInteraction(discord, { customId: 'submit_profile', userId, channel: lobby, guildId: GUILD_ID }));
+  }
+
+  beforeEach(async () => {
+    ({ discord, lobby, event } = await setupBot());
+    for (const userId of ['leader', 'alice']) {
+      discord.addMember(GUILD_ID, userId);
+    }
+  });
+
+  afterEach(teardownBot);
+
+  it('counts joins and matches and records how long everyone waited', async () => {
+    await enqueue(event, { leaders: [leaderEntry('leader', { timestamp: Date.now() - 10 * MINUTE })] });
+
+    await joinAsMember('alice');
+
+    const { totals, hourly, waits } = await readMetrics(event);
+    assert.equal(totals.joins, 1);
+    assert.equal(totals.matches, 1);
+    assert.equal(totals.teams_closed, 0);
+    assert.equal(Object.values(hourly).reduce((sum, count) => sum + Number(count), 0), 2);
+    assert.deepEqual(waits.map(wait => wait.role).sort(), ['leader', 'member']);
+    const leaderWait = waits.find(wait => wait.role === 'leader').waitMs;
+    assert.ok(leaderWait >= 10 * MINUTE && leaderWait < 11 * MINUTE);
+  });
+
+  it('summarizes waits and charts hourly counts', () => {
+    assert.deepEqual(summarizeWaits([]), { samples: 0, averageMs: null, medianMs: null });
+    assert.deepEqual(summarizeWaits([{ waitMs: 4 }, { waitMs: 1 }, { waitMs: 10 }, { waitMs: 2 }]), {
+      samples: 4,
+      averageMs: 4,
+      medianMs: 3
+    });
+
+    const now = 100 * HOUR + 30 * MINUTE;
+    const hourly = { 'joins:97200000': '2', 'joins:360000000': '8', 'matches:360000000': '1' };
+    const columns = chartColumns(48, now);
+    assert.equal(columns.length, 24);
+    assert.equal(columns[23].to, 101 * HOUR);
+    assert.deepEqual(metricSeries(hourly, 'joins', columns).slice(-2), [0, 8]);
+    assert.equal(metricSeries(hourly, 'joins', columns).reduce((sum, count) => sum + count, 0), 8);
+    assert.equal(sparkline([0, 2, 8, null]), '▁▃█·');
+  });
+
+  it('serves every event as prometheus text and json', async () => {
+    await joinAsMember('alice');
+    const server = await startMetricsServer(0);
+    const base = `http://127.0.0.1:${server.address().port}`;
+    try {
+      const text = await (await fetch(`${base}/metrics`)).text();
+      assert.match(text, /^# TYPE team_finder_joins_total counter$/m);
+      assert.match(text, new RegExp(`^team_finder_joins_total\\{guild="${GUILD_ID}",event="default"\\} 1$`, 'm'));
+      assert.match(text, /^team_finder_queued_members\{guild="\d+",event="default"\} 1$/m);
+      assert.doesNotMatch(text, /^team_finder_wait_median_seconds\{/m);
+
+      const json = await (await fetch(`${base}/metrics.json`)).json();
+      assert.equal(json.events[0].eventId, 'default');
+      assert.equal(json.events[0].totals.joins, 1);
+      assert.deepEqual(json.events[0].queues, { leaders: 0, members: 1, pendingMatches: 0, formingMatches: 0 });
+
+      assert.equal((await fetch(`${base}/other`)).status, 404);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
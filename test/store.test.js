@@ -0,0 +1,64 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { clients } from '../src/clients.js';
+import { eventKey } from '../src/events.js';
+import { REDIS_KEY_MEMBER_QUEUE } from '../src/constants.js';
+import { readQueues, withQueues, removeFromQueues, acquireUserLock, releaseUserLock } from '../src/store.js';
+import { setupBot, teardownBot, enqueue, leaderEntry, memberEntry } from './fakes/setup.js';
+
+describe('queue store', () => {
+  let event;
+
+  beforeEach(async () => {
+    ({ event } = await setupBot());
+  });
+
+  afterEach(teardownBot);
+
+  it('runs the mutation again when the queues change before it commits', async () => {
+    await enqueue(event, { members: [memberEntry('alice')] });
+    let runs = 0;
+
+    const seen = await withQueues(event, state => {
+      runs++;
+      if (runs === 1) {
+        // another process adds a member between this read and the commit
+        clients.redis.zAdd(eventKey(event, REDIS_KEY_MEMBER_QUEUE), { score: Date.now(), value: 'bob' });
+      }
+      state.members = state.members.filter(entry => entry.userId !== 'alice');
+      return state.members.length;
+    });
+
+    assert.equal(runs, 2);
+    assert.equal(seen, 0);
+    assert.deepEqual((await readQueues(clients.redis, event)).members, []);
+  });
+
+  it("returns a removed leader's crew to the member queue", async () => {
+    const now = Date.now();
+    await enqueue(event, {
+      leaders: [leaderEntry('leader', { additionalNeeded: 1, crew: [memberEntry('alice', { timestamp: now - 5000 })] })],
+      members: [memberEntry('bob', { timestamp: now - 1000 })]
+    });
+
+    const outcome = await withQueues(event, state => removeFromQueues(state, 'leader'));
+
+    assert.equal(outcome.status, 'leader');
+    assert.deepEqual(outcome.released.map(member => member.userId), ['alice']);
+    const state = await readQueues(clients.redis, event);
+    assert.deepEqual(state.leaders, []);
+    assert.deepEqual(state.members.map(entry => entry.userId), ['alice', 'bob']);
+  });
+
+  it('hands out a user lock once until it is released', async () => {
+    const token = await acquireUserLock('alice');
+    assert.ok(token);
+    assert.equal(await acquireUserLock('alice'), null);
+
+    await releaseUserLock('alice', 'someone else');
+    assert.equal(await acquireUserLock('alice'), null);
+
+    await releaseUserLock('alice', token);
+    assert.ok(await acquireUserLock('alice'));
+  });
+});
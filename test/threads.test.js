@@ -0,0 +1,468 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import { ChannelType } from 'discord.js';
+import assert from 'node:assert/strict';
+import { clients } from '../src/clients.js';
+import { REDIS_KEY_TEAMS_BY_THREAD, FORMATION_ATTEMPTS, FORMATION_RETRY_MS } from '../src/constants.js';
+import { eventKey, findEventByChannel } from '../src/events.js';
+import { readQueues, withQueues } from '../src/store.js';
+import { setConfigValue } from '../src/settings.js';
+import { registerTeam, getTeamByThread } from '../src/teams.js';
+import { addMentor } from '../src/mentors.js';
+import { readMetrics } from '../src/metrics.js';
+import { tryMatching } from '../src/matcher.js';
+import { sweepQueues } from '../src/reminders.js';
+import { setAvoidedUsers } from '../src/blocklist.js';
+import { createTeamThread, recoverFormingTeams } from '../src/threads.js';
+import { handleInteraction } from '../src/interactions.js';
+import { createInteraction } from './fakes/discord.js';
+import { setupBot, teardownBot, enqueue, leaderEntry, memberEntry, customIds, GUILD_ID } from './fakes/setup.js';
+
+const CATEGORY_ID = '100000000000000010';
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('team threads', () => {
+  let discord;
+  let lobby;
+  let event;
+
+  beforeEach(async () => {
+    ({ discord, lobby, event } = await setupBot());
+    discord.addMember(GUILD_ID, 'leader', { displayName: 'lea' });
+    discord.addMember(GUILD_ID, 'alice', { displayName: 'alice' });
+    discord.addMember(GUILD_ID, 'bob', { displayName: 'bob' });
+  });
+
+  afterEach(teardownBot);
+
+  it('creates a thread in the lobby with the whole team and registers it', async () => {
+    const leader = leaderEntry('leader', { additionalNeeded: 0, teammates: ['alice'], crew: [memberEntry('bob')] });
+
+    await createTeamThread(event, leader);
+
+    const [thread] = discord.threads();
+    assert.equal(thread.parentId, lobby.id);
+    assert.equal(thread.name, 'team: lea, alice, bob');
+    assert.equal(thread.autoArchiveDuration, 60);
+    assert.deepEqual([...thread.memberIds], ['leader', 'alice', 'bob']);
+    const panel = thread.sent.at(-1);
+    assert.deepEqual(customIds(panel), ['confirm_team', 'request_help', 'leave_team', 'kick_member', 'close_thread']);
+
+    const team = await getTeamByThread(event, thread.id);
+    assert.equal(team.id, 'team-1');
+    assert.equal(team.status, 'forming');
+    assert.equal(team.leaderId, 'leader');
+    assert.deepEqual(team.memberIds, ['alice', 'bob']);
+    assert.equal(panel.embeds[0].data.footer.text, 'team-1');
+  });
+
+  it('adds an assigned mentor and lists anyone who could not be added', async () => {
+    discord.addMember(GUILD_ID, 'mentor');
+    await addMentor(event, 'mentor');
+    const leader = leaderEntry('leader', { additionalNeeded: 0, crew: [memberEntry('alice'), memberEntry('ghost')] });
+
+    await createTeamThread(event, leader);
+
+    const [thread] = discord.threads();
+    assert.deepEqual([...thread.memberIds], ['leader', 'alice', 'mentor']);
+    assert.ok(thread.sent.some(message => message.content?.includes('could not be automatically added: ghost')));
+    assert.deepEqual((await getTeamByThread(event, thread.id)).mentorIds, ['mentor']);
+  });
+
+  it('is created once everyone in a pending match accepts', async () => {
+    await enqueue(event, {
+      leaders: [leaderEntry('leader', { additionalNeeded: 2, timestamp: Date.now() - 1000 })],
+      members: [memberEntry('alice', { timestamp: Date.now() - 500 }), memberEntry('bob')]
+    });
+    await tryMatching(event);
+    const [match] = (await readQueues(clients.redis, event)).pendingMatches;
+
+    for (const [userId, waitingOn] of [['leader', 2], ['alice', 1]]) {
+      const interaction = createInteraction(discord, {
+        customId: `match_accept:${GUILD_ID}:default:${match.id}`,
+        userId,
+        channel: null,
+        guildId: null
+      });
+      await handleInteraction(interaction);
+      assert.equal(interaction.responses[0].content, `you accepted! waiting on ${waitingOn} more teammate(s) to accept.`);
+    }
+    assert.deepEqual(discord.threads(), []);
+
+    const last = createInteraction(discord, {
+      customId: `match_accept:${GUILD_ID}:default:${match.id}`,
+      userId: 'bob',
+      channel: null,
+      guildId: null
+    });
+    await handleInteraction(last);
+
+    assert.equal(last.responses[0].content, 'everyone accepted! your team thread is being created.');
+    assert.deepEqual((await readQueues(clients.redis, event)).pendingMatches, []);
+    const [thread] = discord.threads();
+    assert.deepEqual([...thread.memberIds], ['leader', 'alice', 'bob']);
+    assert.equal(await clients.redis.hGet(eventKey(event, REDIS_KEY_TEAMS_BY_THREAD), thread.id), 'team-1');
+  });
+
+  it('puts everyone else back in the queue when someone declines', async () => {
+    const now = Date.now();
+    await enqueue(event, {
+      leaders: [leaderEntry('leader', { additionalNeeded: 1, timestamp: now - 2000 })],
+      members: [memberEntry('alice', { timestamp: now - 1000 })]
+    });
+    await tryMatching(event);
+    const [match] = (await readQueues(clients.redis, event)).pendingMatches;
+
+    await handleInteraction(createInteraction(discord, {
+      customId: `match_decline:${GUILD_ID}:default:${match.id}`,
+      userId: 'alice',
+      channel: null,
+      guildId: null
+    }));
+
+    const state = await readQueues(clients.redis, event);
+    assert.deepEqual(state.pendingMatches, []);
+    assert.deepEqual(state.members, []);
+    assert.equal(state.leaders[0].userId, 'leader');
+    assert.equal(state.leaders[0].additionalNeeded, 1);
+    assert.equal(state.leaders[0].timestamp, now - 2000);
+    assert.deepEqual(discord.threads(), []);
+  });
+
+  it("puts a declining leader's teammates in the member queue in their place", async () => {
+    const now = Date.now();
+    await enqueue(event, {
+      leaders: [leaderEntry('leader', { additionalNeeded: 1, teammates: ['bob'], timestamp: now - 2000 })],
+      members: [memberEntry('alice', { timestamp: now - 1000 })]
+    });
+    await tryMatching(event);
+    const [match] = (await readQueues(clients.redis, event)).pendingMatches;
+
+    await handleInteraction(createInteraction(discord, {
+      customId: `match_decline:${GUILD_ID}:default:${match.id}`,
+      userId: 'leader',
+      channel: null,
+      guildId: null
+    }));
+
+    const state = await readQueues(clients.redis, event);
+    assert.deepEqual(state.pendingMatches, []);
+    assert.deepEqual(state.leaders, []);
+    assert.deepEqual(state.members.map(entry => [entry.userId, entry.timestamp]), [['bob', now - 2000], ['alice', now - 1000]]);
+    const [notice] = (await discord.users.fetch('bob')).dms;
+    assert.match(notice.content, /did not accept the match, so you have been put in the team member queue/);
+  });
+
+  it('keeps looking for a replacement when the leader declines one', async () => {
+    discord.addMember(GUILD_ID, 'carol');
+    const thread = await createTeamThread(event, leaderEntry('leader', { additionalNeeded: 0, crew: [memberEntry('alice'), memberEntry('bob')] }));
+    await handleInteraction(createInteraction(discord, { customId: 'leave_team', userId: 'alice', channel: thread, guildId: GUILD_ID }));
+    await enqueue(event, { members: [memberEntry('carol')] });
+    await tryMatching(event);
+    const [match] = (await readQueues(clients.redis, event)).pendingMatches;
+
+    const decline = createInteraction(discord, {
+      customId: `match_decline:${GUILD_ID}:default:${match.id}`,
+      userId: 'leader',
+      channel: null,
+      guildId: null
+    });
+    await handleInteraction(decline);
+
+    assert.equal(decline.responses[0].content, 'you declined the match. your team will keep looking for a replacement.');
+    // the search starts over and finds the only member waiting again
+    const [retry] = (await readQueues(clients.redis, event)).pendingMatches;
+    assert.notEqual(retry.id, match.id);
+    assert.equal(retry.leader.threadId, thread.id);
+    assert.deepEqual(retry.leader.crew.map(member => member.userId), ['carol']);
+  });
+
+  describe('team status', () => {
+    function click(userId, customId, thread) {
+      return createInteraction(discord, { customId, userId, channel: thread, guildId: GUILD_ID });
+    }
+
+    it('counts a team as confirmed and closed once, however often it changes in between', async () => {
+      const thread = await createTeamThread(event, leaderEntry('leader', { additionalNeeded: 0, crew: [memberEntry('alice'), memberEntry('bob')] }));
+
+      await handleInteraction(click('leader', 'confirm_team', thread));
+      const { confirmedAt } = await getTeamByThread(event, thread.id);
+      await handleInteraction(click('alice', 'leave_team', thread));
+      assert.equal((await getTeamByThread(event, thread.id)).status, 'forming');
+      await handleInteraction(click('bob', 'confirm_team', thread));
+      await handleInteraction(click('leader', 'close_thread', thread));
+      await handleInteraction(click('leader', 'close_thread', thread));
+
+      const team = await getTeamByThread(event, thread.id);
+      assert.equal(team.status, 'closed');
+      assert.equal(team.confirmedAt, confirmedAt);
+      const { totals } = await readMetrics(event);
+      assert.equal(totals.teams_confirmed, 1);
+      assert.equal(totals.teams_closed, 1);
+    });
+
+    it('loses neither member when two leave at the same time', async () => {
+      const thread = await createTeamThread(event, leaderEntry('leader', { additionalNeeded: 0, crew: [memberEntry('alice'), memberEntry('bob')] }));
+
+      await Promise.all([
+        handleInteraction(click('alice', 'leave_team', thread)),
+        handleInteraction(click('bob', 'leave_team', thread))
+      ]);
+
+      assert.deepEqual((await getTeamByThread(event, thread.id)).memberIds, []);
+    });
+
+    it('keeps the rest of the team in the registry only while a replacement is searched for', async () => {
+      discord.addMember(GUILD_ID, 'carol');
+      await setAvoidedUsers(GUILD_ID, 'bob', ['carol']);
+      const thread = await createTeamThread(event, leaderEntry('leader', { additionalNeeded: 0, crew: [memberEntry('alice'), memberEntry('bob')] }));
+
+      await handleInteraction(click('alice', 'leave_team', thread));
+      await handleInteraction(click('bob', 'leave_queue', lobby));
+      await enqueue(event, { members: [memberEntry('carol')] });
+      await tryMatching(event);
+
+      const { leaders, members } = await readQueues(clients.redis, event);
+      assert.equal(leaders[0].threadId, thread.id);
+      assert.deepEqual(leaders[0].teammates, []);
+      assert.deepEqual(members.map(entry => entry.userId), ['carol']);
+      assert.deepEqual((await getTeamByThread(event, thread.id)).memberIds, ['bob']);
+    });
+
+    it('never drops a leader looking for a replacement from the queue for not answering a reminder', async () => {
+      const thread = await createTeamThread(event, leaderEntry('leader', { additionalNeeded: 0, crew: [memberEntry('alice'), memberEntry('bob')] }));
+      await handleInteraction(click('alice', 'leave_team', thread));
+      await withQueues(event, state => {
+        state.leaders[0].remindedAt = Date.now() - DAY;
+      });
+
+      await sweepQueues();
+
+      assert.equal((await readQueues(clients.redis, event)).leaders[0]?.threadId, thread.id);
+    });
+  });
+
+  describe('formation journal', () => {
+    function journal(leader, fields = {}) {
+      const entry = { id: 'match-1', leader, responses: {}, expiresAt: 0, completedAt: Date.now(), attempts: 0, leaseUntil: 0, ...fields };
+      return withQueues(event, state => {
+        state.formingMatches.push(entry);
+      });
+    }
+
+    function failThreadCreation() {
+      const create = lobby.threads.create;
+      lobby.threads.create = async () => {
+        throw new Error('missing access');
+      };
+      return () => {
+        lobby.threads.create = create;
+      };
+    }
+
+    // lets a retry fired by a mocked timer run to completion
+    async function settle() {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    it('keeps an accepted team journaled and retries when its thread cannot be created', async () => {
+      await enqueue(event, { leaders: [leaderEntry('leader', { timestamp: Date.now() - 1000 })], members: [memberEntry('alice')] });
+      await tryMatching(event);
+      const [match] = (await readQueues(clients.redis, event)).pendingMatches;
+      const restore = failThreadCreation();
+
+      for (const userId of ['leader', 'alice']) {
+        await handleInteraction(createInteraction(discord, {
+          customId: `match_accept:${GUILD_ID}:default:${match.id}`,
+          userId,
+          channel: null,
+          guildId: null
+        }));
+      }
+
+      let state = await readQueues(clients.redis, event);
+      assert.deepEqual(discord.threads(), []);
+      assert.equal(state.formingMatches.length, 1);
+      assert.equal(state.formingMatches[0].attempts, 1);
+      assert.equal(state.formingMatches[0].leaseUntil, 0);
+
+      restore();
+      mock.timers.tick(FORMATION_RETRY_MS);
+      await settle();
+
+      state = await readQueues(clients.redis, event);
+      assert.deepEqual(state.formingMatches, []);
+      assert.deepEqual([...discord.threads()[0].memberIds], ['leader', 'alice']);
+    });
+
+    it('sets up journaled teams on startup', async () => {
+      await journal(leaderEntry('leader', { additionalNeeded: 0, crew: [memberEntry('alice')] }), { attempts: 1 });
+
+      await recoverFormingTeams(event);
+
+      assert.deepEqual((await readQueues(clients.redis, event)).formingMatches, []);
+      assert.deepEqual([...discord.threads()[0].memberIds], ['leader', 'alice']);
+    });
+
+    it('keeps the team journaled and deletes its thread when it cannot be registered', async () => {
+      await journal(leaderEntry('leader', { additionalNeeded: 0, crew: [memberEntry('alice')] }));
+      const incr = mock.method(clients.redis, 'incr', async () => {
+        throw new Error('redis timed out');
+      });
+
+      await recoverFormingTeams(event);
+
+      let state = await readQueues(clients.redis, event);
+      assert.equal(state.formingMatches.length, 1);
+      assert.equal(state.formingMatches[0].attempts, 1);
+      assert.deepEqual(discord.threads(), []);
+
+      incr.mock.restore();
+      mock.timers.tick(FORMATION_RETRY_MS);
+      await settle();
+
+      state = await readQueues(clients.redis, event);
+      assert.deepEqual(state.formingMatches, []);
+      const [thread] = discord.threads();
+      assert.equal((await getTeamByThread(event, thread.id)).leaderId, 'leader');
+    });
+
+    it('does not create a second thread for a team set up just before the process stopped', async () => {
+      const leader = leaderEntry('leader', { additionalNeeded: 0, crew: [memberEntry('alice')] });
+      await journal(leader, { attempts: 1, completedAt: Date.now() - 1000 });
+      await registerTeam(event, leader, 'thread-from-before');
+
+      await recoverFormingTeams(event);
+
+      assert.deepEqual((await readQueues(clients.redis, event)).formingMatches, []);
+      assert.deepEqual(discord.threads(), []);
+    });
+
+    it("waits for another process's lease to run out before taking over", async () => {
+      const now = Date.now();
+      await journal(leaderEntry('leader', { additionalNeeded: 0, crew: [memberEntry('alice')] }), {
+        attempts: 1,
+        leaseUntil: now + 60 * 1000
+      });
+
+      await recoverFormingTeams(event);
+      assert.deepEqual(discord.threads(), []);
+
+      mock.method(Date, 'now', () => now + 60 * 1000 + 1);
+      mock.timers.tick(60 * 1000);
+      await settle();
+      assert.equal(discord.threads().length, 1);
+    });
+
+    it('puts everyone back in the queue once the last attempt fails', async () => {
+      const now = Date.now();
+      await journal(
+        leaderEntry('leader', { additionalNeeded: 0, crew: [memberEntry('alice', { timestamp: now - 500 })], timestamp: now - 1000 }),
+        { attempts: FORMATION_ATTEMPTS - 1 }
+      );
+      failThreadCreation();
+
+      await recoverFormingTeams(event);
+
+      // back at their original positions, so the two of them are offered each other again
+      const state = await readQueues(clients.redis, event);
+      assert.deepEqual(state.formingMatches, []);
+      assert.deepEqual(discord.threads(), []);
+      const [match] = state.pendingMatches;
+      assert.notEqual(match.id, 'match-1');
+      assert.equal(match.leader.timestamp, now - 1000);
+      assert.deepEqual(match.leader.crew.map(member => member.userId), ['alice']);
+      for (const userId of ['leader', 'alice']) {
+        const [notice] = (await discord.users.fetch(userId)).dms;
+        assert.equal(notice.content, 'we could not set up your team thread, so you are back in the queue at your original position.');
+      }
+    });
+  });
+
+  describe('team channels', () => {
+    it('can put a team in a private thread', async () => {
+      await setConfigValue(event, 'teamSpace', 'private_thread');
+
+      await createTeamThread(event, leaderEntry('leader', { additionalNeeded: 0, crew: [memberEntry('alice')] }));
+
+      const [thread] = discord.threads();
+      assert.equal(thread.type, ChannelType.PrivateThread);
+      assert.equal(thread.invitable, false);
+      assert.deepEqual([...thread.memberIds], ['leader', 'alice']);
+    });
+
+    it('creates private text and voice channels under the configured category', async () => {
+      discord.addMember(GUILD_ID, 'mentor');
+      await addMentor(event, 'mentor');
+      await setConfigValue(event, 'teamSpace', 'channel_and_voice');
+      await setConfigValue(event, 'teamCategoryId', CATEGORY_ID);
+
+      const channel = await createTeamThread(event, leaderEntry('leader', { additionalNeeded: 0, crew: [memberEntry('alice'), memberEntry('ghost')] }));
+
+      assert.deepEqual(discord.threads(), []);
+      assert.equal(channel.type, ChannelType.GuildText);
+      assert.equal(channel.name, 'team-lea-alice-ghost');
+      assert.equal(channel.parentId, CATEGORY_ID);
+      const team = await getTeamByThread(event, channel.id);
+      const voiceChannel = await discord.channels.fetch(team.voiceChannelId);
+      assert.equal(voiceChannel.type, ChannelType.GuildVoice);
+      assert.equal(voiceChannel.parentId, CATEGORY_ID);
+      for (const teamChannel of [channel, voiceChannel]) {
+        const overwrites = teamChannel.permissionOverwrites.cache;
+        assert.deepEqual([...overwrites.keys()], [GUILD_ID, 'bot', 'leader', 'alice', 'mentor']);
+        assert.equal(overwrites.get(GUILD_ID).deny.length, 1);
+        assert.equal(overwrites.get('alice').allow.ViewChannel, true);
+      }
+      assert.ok(channel.sent.some(message => message.content?.includes('could not be automatically added: ghost')));
+      assert.deepEqual(customIds(channel.sent.at(-1)), ['confirm_team', 'request_help', 'leave_team', 'kick_member', 'close_thread']);
+      assert.deepEqual(await findEventByChannel(channel.id), event);
+    });
+
+    it('falls back to the lobby category', async () => {
+      lobby.parentId = CATEGORY_ID;
+      await setConfigValue(event, 'teamSpace', 'channel');
+
+      const channel = await createTeamThread(event, leaderEntry('leader', { additionalNeeded: 0, crew: [memberEntry('alice')] }));
+
+      assert.equal(channel.parentId, CATEGORY_ID);
+      assert.equal((await getTeamByThread(event, channel.id)).voiceChannelId, null);
+    });
+
+    it('gives members the team role and takes it and their access away when they leave', async () => {
+      await setConfigValue(event, 'teamSpace', 'channel');
+      await setConfigValue(event, 'teamRoles', 'on');
+
+      const channel = await createTeamThread(event, leaderEntry('leader', { additionalNeeded: 0, crew: [memberEntry('alice')] }));
+
+      const guild = discord.guilds.cache.get(GUILD_ID);
+      const team = await getTeamByThread(event, channel.id);
+      assert.equal(guild.roles.cache.get(team.roleId).name, 'default: team-1');
+      assert.ok(channel.permissionOverwrites.cache.has(team.roleId));
+      for (const userId of ['leader', 'alice']) {
+        assert.ok(guild.members.cache.get(userId).roles.cache.has(team.roleId));
+      }
+
+      await handleInteraction(createInteraction(discord, { customId: 'leave_team', userId: 'alice', channel, guildId: GUILD_ID }));
+
+      assert.equal(guild.members.cache.get('alice').roles.cache.has(team.roleId), false);
+      assert.equal(channel.permissionOverwrites.cache.has('alice'), false);
+      assert.ok(channel.permissionOverwrites.cache.has('leader'));
+    });
+
+    it('deletes the channels and the team role when the team is closed', async () => {
+      await setConfigValue(event, 'teamSpace', 'channel_and_voice');
+      await setConfigValue(event, 'teamRoles', 'on');
+      const channel = await createTeamThread(event, leaderEntry('leader', { additionalNeeded: 0, crew: [memberEntry('alice')] }));
+      const { voiceChannelId, roleId } = await getTeamByThread(event, channel.id);
+
+      const interaction = createInteraction(discord, { customId: 'close_thread', userId: 'leader', channel, guildId: GUILD_ID });
+      await handleInteraction(interaction);
+
+      assert.equal(interaction.responses[0].type, 'reply');
+      assert.equal(channel.deleted, true);
+      await assert.rejects(discord.channels.fetch(voiceChannelId));
+      assert.equal(discord.guilds.cache.get(GUILD_ID).roles.cache.has(roleId), false);
+      assert.equal((await getTeamByThread(event, channel.id)).status, 'closed');
+      assert.equal(await findEventByChannel(channel.id), null);
+    });
+  });
+});